@@ -3,27 +3,176 @@
 
 // === SERVER ===
 export interface ServerStatus {
+  profileId: string;
+  name?: string;
   running: boolean;
   port: number;
   hostname: string;
   pid: number | null;
+  internalPort?: number | null;
   networkInfo?: NetworkInfo;
   monitoring?: PerformanceMetrics;
+  restart?: RestartStatus;
+  proxy?: ProxyStats | null;
+  runtime?: RuntimeInfo | null;
+  build?: BuildInfo | null;
+  status?: 'running' | 'running-external' | 'stopped' | 'restarting' | 'crash-looping' | 'unknown-profile';
+}
+
+export interface RuntimeInfo {
+  type: 'electron' | 'node';
+  version: string;
+  electronVersion: string | null;
+  fallback: boolean;
+  description: string;
+}
+
+export interface ProxyStats {
+  requests: number;
+  websockets: number;
+  blocked: number;
+  rateLimited: number;
+  forbiddenOrigin: number;
+  upstreamErrors: number;
+  activeConnections: number;
+  targetPort: number;
+}
+
+export interface RestartStatus {
+  crashLooping: boolean;
+  recentRestarts: number;
+  nextRestartAt: number | null;
+  lastExit: { code: number | null; signal: string | null; timestamp: number } | null;
 }
 
 export interface ServerResponse {
   success: boolean;
+  profileId?: string;
   error?: string;
   code?: string;
   suggestions?: number[];
+  /** Set when code is INTEGRITY_FAILED */
+  integrity?: IntegrityReport;
+}
+
+// === SERVER PROFILES ===
+export interface ServerProfile {
+  id: string;
+  name: string;
+  type: 'node' | 'command';
+  entrypoint: string | null;
+  /** Imported bundle version, used when entrypoint is null */
+  bundle: string | null;
+  /** Return to the previous bundle version when a new one fails to start */
+  autoRollback: boolean;
+  command: string | null;
+  args: string[];
+  cwd: string | null;
+  runtime: 'electron' | 'node';
+  nodePath: string | null;
+  port: number;
+  hostname: string | null;
+  enableLan: boolean;
+  ipv6: boolean;
+  autoStart: boolean;
+  env: Record<string, string>;
+  shutdown: {
+    drainTimeout: number;
+    killTimeout: number;
+  };
+  memory: {
+    maxOldSpaceSize: number | null;
+    maxRss: number | null;
+    sustainedPeriod: number;
+  };
+  security: {
+    maxRequests: number;
+    enforceOrigin: boolean;
+  };
+  probes: {
+    readiness: ProbeDefinition;
+    liveness: ProbeDefinition;
+  };
+  schedule: {
+    enabled: boolean;
+    rules: ScheduleRule[];
+  };
+  buildWatch: {
+    enabled: boolean;
+    mode: 'prompt' | 'auto';
+  };
+  hooks: {
+    preStart: LifecycleHook | null;
+    postStart: LifecycleHook | null;
+    preStop: LifecycleHook | null;
+    postStop: LifecycleHook | null;
+  };
+  restart: {
+    policy: 'never' | 'on-failure' | 'always';
+    initialDelay: number;
+    maxDelay: number;
+    maxRestarts: number;
+    window: number;
+  };
+  running?: boolean;
+}
+
+export interface ProbeDefinition {
+  path: string;
+  method: 'GET' | 'HEAD';
+  expectedStatus: string;
+  bodyPattern: string | null;
+  timeout: number;
+  initialDelay: number;
+  interval: number;
+  failureThreshold: number;
+}
+
+export interface ProbeResult {
+  healthy: boolean;
+  statusCode: number | null;
+  responseTime: number;
+  error: string | null;
+  timestamp: number;
+}
+
+export interface EnvVariable {
+  key: string;
+  value: string;
+  secret: boolean;
+  source: 'profile' | 'oxichstudio' | '.env' | '.env.production';
+  overrides: string | null;
+}
+
+export interface EffectiveEnvResponse {
+  success: boolean;
+  variables: EnvVariable[];
+  files: string[];
+  directory?: string;
+  error?: string;
+}
+
+export interface ProfileSaveResponse {
+  success: boolean;
+  profile?: ServerProfile;
+  error?: string;
 }
 
 // === MONITORING ===
 export interface PerformanceMetrics {
   uptime: number;
   responseTime: number;
+  /** Resident memory of the server process tree, in bytes */
   memoryUsage: number;
-  cpuUsage: number;
+  /** Percent of one core used by the server process tree, null when unavailable */
+  cpuUsage: number | null;
+  /** Linux only, null elsewhere */
+  threads: number | null;
+  /** Linux only, null elsewhere */
+  openFiles: number | null;
+  processCount: number;
+  sampledAt: number | null;
+  pid: number | null;
   requestCount: number;
   errorCount: number;
   isHealthy: boolean;
@@ -41,6 +190,13 @@ export interface DetailedMonitoringStatus {
   healthCheckInterval: number;
   retryCount: number;
   maxRetries: number;
+  probe: Pick<ProbeDefinition, 'method' | 'path' | 'expectedStatus'>;
+  lastProbeResult: ProbeResult | null;
+  memory: {
+    rss: number;
+    maxRss: number | null;
+    exceededSince: number | null;
+  };
 }
 
 // === ERROR HANDLING ===
@@ -104,20 +260,187 @@ export interface RecoveryNotification {
 }
 
 export interface PortChangeNotification {
+  profileId: string;
   oldPort: number;
   newPort: number;
   reason: string;
 }
 
 export interface HealthWarning {
+  profileId: string;
   retryCount: number;
   maxRetries: number;
 }
 
 export interface CriticalError {
+  profileId: string;
   metrics: PerformanceMetrics;
 }
 
+export interface RestartScheduledNotification {
+  profileId: string;
+  attempt: number;
+  delay: number;
+  maxRestarts: number;
+}
+
+export interface CrashLoopNotification {
+  profileId: string;
+  restarts: number;
+  window: number;
+}
+
+export interface ConsoleLine {
+  seq: number;
+  timestamp: string;
+  stream: 'stdout' | 'stderr' | 'system';
+  pid: number | null;
+  text: string;
+}
+
+export interface LifecycleHook {
+  /** Shell command, or a .js/.mjs/.cjs path run with the server runtime */
+  command: string;
+  /** Milliseconds before the hook is killed and fails (default 60000) */
+  timeout?: number;
+}
+
+export interface ScheduleRule {
+  action: 'start' | 'stop';
+  /** minute hour day-of-month month day-of-week, local time */
+  cron: string;
+}
+
+export interface ScheduledAction {
+  action: 'start' | 'stop';
+  at: number;
+  cron: string;
+  skipped: boolean;
+}
+
+export interface AutostartStatus {
+  supported: boolean;
+  desktopEntry: { installed: boolean; hidden: boolean; path: string } | null;
+  systemdUnit: { installed: boolean; enabled: boolean; profileId: string | null; path: string } | null;
+}
+
+export interface AutostartResponse {
+  success: boolean;
+  status?: AutostartStatus;
+  /** Set when the unit was written but systemctl could not enable it */
+  warning?: string | null;
+  error?: string;
+}
+
+export interface BundleInfo {
+  /** Version directory name, e.g. 20250114-093012-a1b2c3 */
+  id: string;
+  /** Archive name without extension */
+  name: string;
+  archive: string;
+  archiveSize: number;
+  buildId: string | null;
+  /** Result of the manifest check at import */
+  integrity: 'verified' | 'no-manifest';
+  importedAt: string;
+  path: string;
+  /** Profiles using this version */
+  profiles?: string[];
+}
+
+export interface BundleHistoryEntry {
+  /** null = bundled application */
+  versionId: string | null;
+  name: string;
+  buildId: string | null;
+  importedAt: string | null;
+  activatedAt: string;
+  /** Last startup result */
+  health: { healthy: boolean; error: string | null; checkedAt: string } | null;
+  /** false when the version directory was deleted */
+  available: boolean;
+}
+
+export interface IntegrityReport {
+  status: 'verified' | 'failed' | 'no-manifest';
+  verified: boolean;
+  /** Paths relative to the server directory */
+  missing: string[];
+  modified: string[];
+  fileCount: number;
+  buildId: string | null;
+  signature: 'valid' | 'invalid' | 'missing' | 'not-checked';
+  error: string | null;
+  duration: number;
+}
+
+export interface BundleRollback {
+  from: string | null;
+  to: string | null;
+  automatic: boolean;
+}
+
+export interface ApiStatus {
+  enabled: boolean;
+  port: number;
+  token: string | null;
+  running: boolean;
+  /** Base URL, e.g. http://127.0.0.1:8765/api */
+  url: string;
+  stats: { requests: number; unauthorized: number; port: number; running: boolean } | null;
+}
+
+export interface ScheduleResponse {
+  success: boolean;
+  next?: ScheduledAction | null;
+  error?: string;
+}
+
+export interface ScheduleUpdatedNotification {
+  profileId: string;
+  next: ScheduledAction | null;
+}
+
+export interface BuildInfo {
+  /** Build the server runs */
+  buildId: string | null;
+  /** Newer build waiting for a restart */
+  availableBuildId: string | null;
+  file: string;
+}
+
+export interface BuildChangedNotification {
+  profileId: string;
+  previousBuildId: string | null;
+  buildId: string;
+  mode: 'prompt' | 'auto';
+}
+
+export interface CommandLineNotification {
+  profileId: string;
+  /** null when the launch only selected or opened the profile */
+  action: 'start' | 'stop' | 'restart' | null;
+  success?: boolean;
+  error?: string;
+}
+
+export interface ServerRecycledNotification {
+  profileId: string;
+  reason: string;
+}
+
+export interface ServerOutputNotification {
+  profileId: string;
+  lines: ConsoleLine[];
+}
+
+export interface ServerOutputResponse {
+  success: boolean;
+  lines: ConsoleLine[];
+  logFile?: string;
+  error?: string;
+}
+
 // === NETWORK ===
 export interface NetworkInfo {
   port: number;
@@ -126,7 +449,10 @@ export interface NetworkInfo {
     local: string;
     localhost: string;
     lan?: string;
+    ipv6?: string | null;
   };
+  ipv6Address?: string | null;
+  bindAddress?: string | null;
   allIPs: NetworkInterface[];
   enableLan: boolean;
   requiresAdmin: boolean;
@@ -139,6 +465,10 @@ export interface NetworkInterface {
   interface: string;
   address: string;
   netmask: string;
+  family: 'IPv4' | 'IPv6';
+  scope: 'loopback' | 'private' | 'link-local' | 'unique-local' | 'unspecified' | 'global';
+  cidr: string | null;
+  scopeid?: number;
 }
 
 export interface PortCheckResponse {
@@ -240,9 +570,21 @@ export interface SystemVersions {
 export interface ElectronAPI {
   // Server
   server: {
-    getStatus(): Promise<ServerStatus>;
-    start(config?: { port: number; hostname: string }): Promise<ServerResponse>;
-    stop(): Promise<ServerResponse>;
+    getStatus(profileId?: string): Promise<ServerStatus>;
+    start(profileId?: string, config?: { port?: number; enableLan?: boolean }): Promise<ServerResponse>;
+    stop(profileId?: string): Promise<ServerResponse>;
+    restart(profileId?: string): Promise<ServerResponse>;
+    getOutput(profileId?: string, options?: { since?: number; limit?: number; stream?: ConsoleLine['stream'] }): Promise<ServerOutputResponse>;
+    clearOutput(profileId?: string): Promise<ConfigResponse>;
+    openOutputFile(profileId?: string): Promise<ConfigResponse>;
+  };
+
+  // Server profiles
+  profiles: {
+    list(): Promise<ServerProfile[]>;
+    save(profileId: string, values: Partial<ServerProfile>): Promise<ProfileSaveResponse>;
+    remove(profileId: string): Promise<ConfigResponse>;
+    getEnv(profileId: string, envOverride?: Record<string, string>): Promise<EffectiveEnvResponse>;
   };
 
   // Configuration
@@ -257,7 +599,8 @@ export interface ElectronAPI {
 
   // Network
   network: {
-    getInfo(port?: number, enableLan?: boolean): Promise<NetworkInfo | null>;
+    getInfo(port?: number, enableLan?: boolean, ipv6?: boolean, bindAddress?: string | null): Promise<NetworkInfo | null>;
+    getInterfaces(): Promise<{ interfaces: NetworkInterface[] }>;
     checkPort(port: number): Promise<PortCheckResponse>;
     suggestPorts(currentPort: number, count?: number): Promise<PortSuggestionsResponse>;
     findPreferredPort(configuredPort?: number): Promise<PreferredPortResponse>;
@@ -278,10 +621,50 @@ export interface ElectronAPI {
     list(): Promise<BackupListResponse>;
   };
 
+  // Start/stop schedules
+  schedule: {
+    getNext(profileId?: string): Promise<ScheduledAction | null>;
+    skipNext(profileId?: string): Promise<ScheduleResponse>;
+    cancelSkip(profileId?: string): Promise<ScheduleResponse>;
+  };
+
+  // Login autostart (Linux)
+  autostart: {
+    getStatus(): Promise<AutostartStatus>;
+    setDesktopEntry(options: { enabled: boolean; hidden?: boolean }): Promise<AutostartResponse>;
+    setSystemdUnit(options: { enabled: boolean; profileId?: string | null }): Promise<AutostartResponse>;
+  };
+
+  // Standalone builds imported from archives
+  bundles: {
+    list(): Promise<{ success: boolean; bundles: BundleInfo[]; error?: string }>;
+    /** Opens a file dialog when no path is given */
+    import(archivePath?: string | null): Promise<{ success: boolean; bundle?: BundleInfo; canceled?: boolean; error?: string }>;
+    /** null switches back to the bundled server */
+    use(profileId: string, versionId: string | null): Promise<{ success: boolean; profile?: ServerProfile; restartRequired?: boolean; error?: string }>;
+    getHistory(profileId: string): Promise<{ success: boolean; current?: string | null; history: BundleHistoryEntry[]; error?: string }>;
+    /** Stops, repoints and starts the server; without a version, the newest earlier version that did not fail */
+    rollback(profileId: string, versionId?: string | null): Promise<ServerResponse & { rollback?: BundleRollback }>;
+    remove(versionId: string): Promise<{ success: boolean; error?: string }>;
+  };
+
+  // Application files checked against integrity.json
+  integrity: {
+    /** report is null for a disabled check */
+    verify(profileId: string): Promise<{ success: boolean; report: IntegrityReport | null; summary?: string | null; error?: string }>;
+  };
+
+  // Local REST API
+  api: {
+    getStatus(): Promise<ApiStatus>;
+    configure(values: { enabled?: boolean; port?: number }): Promise<ApiStatus & { success: boolean; error?: string }>;
+    regenerateToken(): Promise<ApiStatus & { success: boolean; error?: string }>;
+  };
+
   // Monitoring
   monitoring: {
-    getMetrics(): Promise<PerformanceMetrics | null>;
-    getDetailedStatus(): Promise<DetailedMonitoringStatus | null>;
+    getMetrics(profileId?: string): Promise<PerformanceMetrics | null>;
+    getDetailedStatus(profileId?: string): Promise<DetailedMonitoringStatus | null>;
   };
 
   // Error handling
@@ -314,6 +697,14 @@ export interface ElectronAPI {
     onPortChanged(callback: (data: PortChangeNotification) => void): void;
     onServerHealthWarning(callback: (data: HealthWarning) => void): void;
     onServerCriticalError(callback: (data: CriticalError) => void): void;
+    onServerRestartScheduled(callback: (data: RestartScheduledNotification) => void): void;
+    onServerCrashLoop(callback: (data: CrashLoopNotification) => void): void;
+    onServerOutput(callback: (data: ServerOutputNotification) => void): void;
+    onServerRecycled(callback: (data: ServerRecycledNotification) => void): void;
+    onScheduleUpdated(callback: (data: ScheduleUpdatedNotification) => void): void;
+    onCommandLine(callback: (data: CommandLineNotification) => void): void;
+    onBuildChanged(callback: (data: BuildChangedNotification) => void): void;
+    onBundleRolledBack(callback: (data: BundleRollback & { profileId: string; reason: string | null }) => void): void;
     removeAllListeners(): void;
   };
 
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+// Command-line client for a running OxichStudio (control socket in userData)
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const ControlSocket = require('../utils/ControlSocket');
+
+const USAGE = `Usage: oxichstudio-ctl <command> [options]
+
+Commands:
+  status [profile]             Status of one or all servers
+  start [profile]              Start a server
+  stop [profile]               Stop a server
+  restart [profile]            Zero-downtime restart
+  logs [profile]               Server console output
+       --follow, -f            Keep printing new lines
+       --lines, -n <count>     Number of lines (default 50)
+       --stream <name>         stdout, stderr or system
+       --app                   Application logs instead of the server console
+  config get <key>             Read a setting (e.g. profiles.default.port)
+  config set <key> <value>     Change a setting (value parsed as JSON when possible)
+
+Options:
+  --socket <path>              Control socket (default: found in the OxichStudio data directory)
+  --json                       Print raw JSON responses
+  --help, -h                   Show this help
+
+Exit codes: 0 success, 1 request failed, 2 usage error, 3 OxichStudio not reachable`;
+
+const FOLLOW_INTERVAL = 500;
+
+class UsageError extends Error {}
+
+class ConnectionError extends Error {}
+
+// === ARGUMENTS ===
+function parseArgs(argv) {
+  const options = { positional: [], follow: false, lines: 50, stream: null, app: false, json: false, socket: process.env.OXICHSTUDIO_SOCKET || null, help: false };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const next = () => {
+      if (index + 1 >= argv.length) {
+        throw new UsageError(`${arg} requires a value`);
+      }
+      return argv[++index];
+    };
+
+    if (arg === '--follow' || arg === '-f') {
+      options.follow = true;
+    } else if (arg === '--lines' || arg === '-n') {
+      options.lines = Number(next());
+      if (!Number.isInteger(options.lines) || options.lines < 1) {
+        throw new UsageError('--lines must be a positive number');
+      }
+    } else if (arg === '--stream') {
+      options.stream = next();
+    } else if (arg === '--app') {
+      options.app = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--socket') {
+      options.socket = next();
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// Data directories of packaged ("OxichStudio") and development ("oxichstudio") runs
+function getSocketCandidates() {
+  const home = os.homedir();
+  let base;
+  if (process.platform === 'win32') {
+    base = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    base = path.join(home, 'Library', 'Application Support');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+
+  return ['OxichStudio', 'oxichstudio'].map(name => ControlSocket.getSocketPath(path.join(base, name)));
+}
+
+// === CONNECTION ===
+class ControlClient {
+  constructor(socket) {
+    this.socket = socket;
+    this.nextId = 1;
+    this.pending = new Map();
+
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+      buffered += data;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          this.failPending('Invalid response from OxichStudio');
+          socket.destroy();
+          return;
+        }
+        // Replies are { id, success, ... } objects; anything else cannot answer a request
+        if (!message || typeof message !== 'object') continue;
+        const request = this.pending.get(message.id);
+        if (request) {
+          this.pending.delete(message.id);
+          request(message);
+        }
+      }
+    });
+    // e.g. OxichStudio quitting during "logs --follow"
+    socket.on('error', (error) => this.failPending(`Connection to OxichStudio lost: ${error.message}`));
+    socket.on('close', () => this.failPending('Connection to OxichStudio closed'));
+  }
+
+  failPending(error) {
+    for (const request of this.pending.values()) {
+      request({ success: false, error });
+    }
+    this.pending.clear();
+  }
+
+  static connect(socketPath) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(socketPath);
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        resolve(new ControlClient(socket));
+      });
+    });
+  }
+
+  /**
+   * Calls an IPC handler of the running instance and resolves with its result
+   */
+  request(channel, ...args) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, (message) => {
+        if (message.success) {
+          resolve(message.result);
+        } else {
+          reject(new Error(message.error));
+        }
+      });
+      this.socket.write(`${JSON.stringify({ id, channel, args })}\n`);
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+async function connect(socketOption) {
+  const candidates = socketOption ? [socketOption] : getSocketCandidates();
+  for (const socketPath of candidates) {
+    try {
+      return await ControlClient.connect(socketPath);
+    } catch (error) {
+      if (error.code === 'EACCES') {
+        throw new ConnectionError(`Permission denied on ${socketPath} (OxichStudio runs as another user)`);
+      }
+    }
+  }
+  throw new ConnectionError(`OxichStudio is not running (no control socket at ${candidates.join(' or ')})`);
+}
+
+// === OUTPUT ===
+function print(options, value, format) {
+  console.log(options.json ? JSON.stringify(value, null, 2) : format(value));
+}
+
+function formatStatus(status) {
+  const name = status.name ? `${status.name} (${status.profileId})` : status.profileId;
+  if (!status.running) {
+    return `${name}: ${status.status || 'stopped'}`;
+  }
+
+  const details = [`port ${status.port}`, `pid ${status.pid}`];
+  if (status.monitoring?.memoryUsage) {
+    details.push(`${(status.monitoring.memoryUsage / 1024 / 1024).toFixed(0)} MB`);
+  }
+  if (typeof status.monitoring?.cpuUsage === 'number') {
+    details.push(`${status.monitoring.cpuUsage.toFixed(1)}% CPU`);
+  }
+  return `${name}: ${status.status} - ${details.join(', ')}`;
+}
+
+function formatConsoleLine(line) {
+  const time = line.timestamp.slice(11, 19);
+  return line.stream === 'stdout' ? `${time} ${line.text}` : `${time} [${line.stream}] ${line.text}`;
+}
+
+function checkResult(result, fallbackMessage) {
+  if (result && result.success === false) {
+    throw new Error(result.error || fallbackMessage);
+  }
+  return result;
+}
+
+// Settings are given as JSON when they parse (numbers, booleans, objects), as strings otherwise
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// === COMMANDS ===
+async function status(client, options, profileId) {
+  const profileIds = profileId ? [profileId] : (await client.request('profiles:list')).map(profile => profile.id);
+  const statuses = [];
+  for (const id of profileIds) {
+    statuses.push(await client.request('server:get-status', id));
+  }
+
+  if (profileId && statuses[0].status === 'unknown-profile') {
+    throw new Error(`Server profile "${profileId}" does not exist.`);
+  }
+  print(options, profileId ? statuses[0] : statuses, value => [].concat(value).map(formatStatus).join('\n'));
+}
+
+async function serverAction(client, options, action, profileId = 'default') {
+  const channels = { start: 'server:start', stop: 'server:stop', restart: 'server:restart' };
+  const result = checkResult(await client.request(channels[action], profileId), `${action} failed`);
+  print(options, result, () => {
+    if (action === 'stop') {
+      return `${profileId}: stopped`;
+    }
+    return `${profileId}: running on port ${result.port} (pid ${result.pid})`;
+  });
+}
+
+async function logs(client, options, profileId = 'default') {
+  if (options.app) {
+    if (options.follow) {
+      throw new UsageError('--follow is only available for the server console');
+    }
+    const result = checkResult(await client.request('logs:get-recent', options.lines), 'Unable to read logs');
+    print(options, result.logs, entries => entries.map(entry => typeof entry === 'string' ? entry : JSON.stringify(entry)).join('\n'));
+    return;
+  }
+
+  const fetchLines = async (since, limit) => {
+    const result = checkResult(
+      await client.request('server:get-output', profileId, { since, limit, stream: options.stream }),
+      'Unable to read the server console'
+    );
+    return result.lines;
+  };
+
+  const show = (lines) => {
+    for (const line of lines) {
+      console.log(options.json ? JSON.stringify(line) : formatConsoleLine(line));
+    }
+  };
+
+  let lines = await fetchLines(0, options.lines);
+  show(lines);
+  if (!options.follow) {
+    return;
+  }
+
+  // Poll with the last sequence number: no line is printed twice
+  let lastSeq = lines.length > 0 ? lines[lines.length - 1].seq : 0;
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, FOLLOW_INTERVAL));
+    // Sequence numbers keep counting after the console was cleared
+    lines = await fetchLines(lastSeq);
+    if (lines.length === 0) {
+      continue;
+    }
+    show(lines);
+    lastSeq = lines[lines.length - 1].seq;
+  }
+}
+
+async function config(client, options, action, key, value) {
+  if (action === 'get' && key) {
+    const result = await client.request('config:get', key, null);
+    print(options, result, current => typeof current === 'object' ? JSON.stringify(current, null, 2) : String(current));
+  } else if (action === 'set' && key && value !== undefined) {
+    checkResult(await client.request('config:set', key, parseValue(value)), 'Failed to update configuration');
+    print(options, { success: true }, () => `${key} updated`);
+  } else {
+    throw new UsageError('Usage: config get <key> | config set <key> <value>');
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, ...args] = options.positional;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const commands = {
+    status: () => status(client, options, args[0]),
+    start: () => serverAction(client, options, 'start', args[0]),
+    stop: () => serverAction(client, options, 'stop', args[0]),
+    restart: () => serverAction(client, options, 'restart', args[0]),
+    logs: () => logs(client, options, args[0]),
+    config: () => config(client, options, ...args)
+  };
+  if (!commands[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const client = await connect(options.socket);
+  try {
+    await commands[command]();
+  } finally {
+    client.close();
+  }
+  return 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}).catch((error) => {
+  console.error(`oxichstudio-ctl: ${error.message}`);
+  if (error instanceof UsageError) {
+    console.error('Run "oxichstudio-ctl --help" for usage.');
+    process.exitCode = 2;
+  } else {
+    process.exitCode = error instanceof ConnectionError ? 3 : 1;
+  }
+});
@@ -1,6 +1,8 @@
-const { app, BrowserWindow, ipcMain, shell, Tray, Menu, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, Tray, Menu, Notification, dialog } = require('electron');
 const { spawn } = require('child_process');
 const path = require('path');
+const os = require('os');
+const net = require('net');
 const fs = require('fs');
 
 // === MANAGERS IMPORTS ===
@@ -10,6 +12,22 @@ const NetworkManager = require('./utils/NetworkManager');
 const ServerMonitor = require('./utils/ServerMonitor');
 const ErrorHandler = require('./utils/ErrorHandler');
 const SecurityManager = require('./utils/SecurityManager');
+const ProcessManager = require('./utils/ProcessManager');
+const RestartManager = require('./utils/RestartManager');
+const ProxyServer = require('./utils/ProxyServer');
+const EnvManager = require('./utils/EnvManager');
+const HealthProbe = require('./utils/HealthProbe');
+const ConsoleManager = require('./utils/ConsoleManager');
+const RuntimeManager = require('./utils/RuntimeManager');
+const ScheduleManager = require('./utils/ScheduleManager');
+const HookManager = require('./utils/HookManager');
+const CommandLine = require('./utils/CommandLine');
+const ApiServer = require('./utils/ApiServer');
+const ControlSocket = require('./utils/ControlSocket');
+const AutostartManager = require('./utils/AutostartManager');
+const BuildWatcher = require('./utils/BuildWatcher');
+const BundleManager = require('./utils/BundleManager');
+const IntegrityManager = require('./utils/IntegrityManager');
 
 // === FETCH POLYFILL FOR NODE.JS ===
 let fetch;
@@ -31,25 +49,42 @@ let fetch;
 
 // === GLOBAL VARIABLES ===
 let mainWindow = null;
-let nextJsProcess = null;
-let serverPort = 8080;
 let tray = null;
 let trayUpdateInterval = null; // Add interval for periodic tray updates
 
+// Runtime state of each server profile, keyed by profile id
+// { process, port, hostname, internalPort, bundle, proxy, restarting, monitor }
+// port is the public port owned by the proxy, internalPort the child's loopback port
+const servers = new Map();
+
+// Server children listen on loopback ports from this range, away from public ports
+const INTERNAL_PORT_BASE = 38080;
+
 // === MANAGERS ===
 let configManager = null;
 let logManager = null;
 let networkManager = null;
-let serverMonitor = null;
 let errorHandler = null;
 let securityManager = null;
+let processManager = null;
+let restartManager = null;
+let envManager = null;
+let consoleManager = null;
+let runtimeManager = null;
+let scheduleManager = null;
+let hookManager = null;
+let apiServer = null;
+let controlSocket = null;
+let autostartManager = null;
+let buildWatcher = null;
+let bundleManager = null;
 
 // === CONFIGURATION PATHS ===
 // ✅ CORRECTION: Automatically detect correct path
 const isPackaged = app.isPackaged;
 const isDev = !isPackaged;
 
-// Next.js standalone server path
+// Bundled Next.js standalone server path (used by profiles without their own entrypoint)
 let NEXT_SERVER_PATH;
 if (isPackaged) {
   // Packaged mode (production)
@@ -59,12 +94,33 @@ if (isPackaged) {
   NEXT_SERVER_PATH = path.join(__dirname, '../.next/standalone/server.js');
 }
 
+// === HEADLESS MODE ===
+// --headless: no window or tray, managers and servers only (Linux servers without a desktop)
+let launchOptions;
+try {
+  launchOptions = CommandLine.parse(CommandLine.userArgs(process.argv));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(2);
+}
+const isHeadless = launchOptions.headless;
+let exitCode = 0;
+
+if (isHeadless) {
+  // Without a display server Chromium would refuse to start
+  if (process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+    app.commandLine.appendSwitch('ozone-platform', 'headless');
+  }
+  app.disableHardwareAcceleration();
+  app.dock?.hide();
+}
+
 // === NEW: INTERFACE MODE ===
 const INTERFACE_MODE = process.env.ELECTRON_MODE || 'auto'; // 'control', 'app', 'auto'
 const CONTROL_PANEL_PATH = path.join(__dirname, 'control-panel.html');
 
 console.log(`🚀 OxichStudio Electron Mode: ${isPackaged ? 'PACKAGED' : 'DEVELOPMENT'}`);
-console.log(`🎮 Interface Mode: ${INTERFACE_MODE}`);
+console.log(`🎮 Interface Mode: ${isHeadless ? 'headless' : INTERFACE_MODE}`);
 console.log(`📂 Server Path: ${NEXT_SERVER_PATH}`);
 console.log(`🎛️ Control Panel: ${CONTROL_PANEL_PATH}`);
 console.log(`🔍 Server Exists: ${fs.existsSync(NEXT_SERVER_PATH)}`);
@@ -78,11 +134,45 @@ async function initializeManagers() {
     
     // Initialize LogManager
     logManager = new LogManager();
+    logManager.setStdout(isHeadless);
     await logManager.initialize();
     
     // Initialize NetworkManager
     networkManager = new NetworkManager();
     
+    // Initialize ProcessManager (graceful shutdown and port owner lookup)
+    processManager = new ProcessManager(logManager, networkManager);
+    
+    // Initialize RestartManager (restart policies and crash-loop detection)
+    restartManager = new RestartManager(logManager);
+    
+    // Initialize EnvManager (.env files and profile variables)
+    envManager = new EnvManager(logManager);
+    
+    // Initialize ConsoleManager (stdout/stderr of the servers)
+    consoleManager = new ConsoleManager(logManager);
+    consoleManager.initialize();
+    
+    // Initialize RuntimeManager (bundled or system Node.js for servers)
+    runtimeManager = new RuntimeManager(logManager);
+    
+    // Initialize ScheduleManager (start/stop windows, armed once the app is ready)
+    scheduleManager = new ScheduleManager(logManager);
+    
+    // Initialize HookManager (pre/post start and stop commands)
+    hookManager = new HookManager(logManager, processManager);
+    
+    // Initialize BuildWatcher (new standalone builds of running servers)
+    buildWatcher = new BuildWatcher(logManager);
+    
+    // Initialize BundleManager (standalone builds imported from archives)
+    bundleManager = new BundleManager(logManager, path.join(app.getPath('userData'), 'bundles'));
+    
+    // Initialize AutostartManager (Linux login entry and systemd user unit)
+    // AppImages run from a temporary mount: relaunch through the image itself
+    const executable = process.env.APPIMAGE || process.execPath;
+    autostartManager = new AutostartManager(logManager, process.defaultApp ? [executable, app.getAppPath()] : [executable]);
+    
     // Initialize SecurityManager (Sprint 3)
     securityManager = new SecurityManager(logManager);
     securityManager.initialize();
@@ -90,18 +180,13 @@ async function initializeManagers() {
     // Initialize ErrorHandler (Sprint 3)
     errorHandler = new ErrorHandler(logManager, configManager, networkManager);
     
-    // Initialize ServerMonitor (Sprint 3)
-    serverMonitor = new ServerMonitor(logManager, networkManager);
-    
     // Configuration event listeners for Sprint 3
+    // (ServerMonitor instances are created per profile in getServerState)
     setupManagerEventListeners();
     
-    // Load server configuration
-    serverPort = configManager.get('server.port', 8080);
-    
     await logManager.info('OxichStudio Managers initialized - Sprint 3', {
       configPath: configManager.configPath,
-      serverPort,
+      profiles: configManager.getProfiles().map(profile => profile.id),
       securityEnabled: true,
       monitoringEnabled: true
     });
@@ -132,314 +217,857 @@ function setupManagerEventListeners() {
     }
   });
 
-  errorHandler.on('port-changed-automatically', ({ oldPort, newPort, reason }) => {
-    serverPort = newPort;
+  errorHandler.on('port-changed-automatically', ({ profileId, oldPort, newPort, reason }) => {
+    const state = servers.get(profileId);
+    if (state && !state.process) {
+      state.port = newPort;
+    }
+    if (mainWindow) {
+      mainWindow.webContents.send('port-changed', { profileId, oldPort, newPort, reason });
+    }
+  });
+
+  // ConsoleManager events
+  consoleManager.on('output', ({ profileId, lines }) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('server-output', { profileId, lines });
+    }
+  });
+
+  // BuildWatcher events
+  buildWatcher.on('build-changed', async ({ profileId, previousBuildId, buildId }) => {
+    const profile = configManager.getProfile(profileId);
+    const state = getServerState(profileId);
+    if (!profile || !state.process) return;
+
+    const mode = profile.buildWatch?.mode || 'prompt';
+    await logManager.serverEvent('📦 New build available', { profileId, previousBuildId, buildId, mode });
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('build-changed', { profileId, previousBuildId, buildId, mode });
+    }
+
+    if (mode !== 'auto') {
+      showNotification(
+        `${profile.name}: new build ready`,
+        `Build ${buildId} replaces ${previousBuildId || 'unknown'}. Click to restart the server.`,
+        { onClick: () => restartNextJsServer(profileId).catch(() => {}) }
+      );
+      return;
+    }
+
+    if (state.restarting) {
+      await logManager.info('Restart already in progress - New build picked up by it', { profileId, buildId });
+      return;
+    }
+    try {
+      await restartNextJsServer(profileId);
+    } catch (error) {
+      await logManager.error('Hot reload of new build failed', { profileId, buildId, error: error.message });
+      showNotification(`${profile.name}: reload failed`, error.message, { onClick: showControlPanel });
+    }
+  });
+
+  // ScheduleManager events
+  scheduleManager.on('action', async ({ profileId, action, cron }) => {
+    const profile = configManager.getProfile(profileId);
+    if (!profile) return;
+
+    const running = Boolean(getServerState(profileId).process);
+    try {
+      if (action === 'start' && !running) {
+        await logManager.serverEvent('⏰ Scheduled start', { profileId, cron });
+        restartManager.reset(profileId);
+        await startNextJsServer(profileId);
+      } else if (action === 'stop' && running) {
+        await logManager.serverEvent('⏰ Scheduled stop', { profileId, cron });
+        await stopNextJsServer(profileId);
+      } else {
+        await logManager.info('Scheduled action not needed', { profileId, action, running });
+      }
+    } catch (error) {
+      await logManager.error('Scheduled action failed', { profileId, action, error: error.message });
+      showNotification(
+        `Scheduled ${action === 'start' ? 'Start' : 'Stop'} Failed`,
+        `${profile.name}: ${error.message}`,
+        { onClick: showControlPanel }
+      );
+    }
+    await updateTrayMenu();
+  });
+
+  scheduleManager.on('updated', ({ profileId, next }) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('schedule-updated', { profileId, next });
+    }
+  });
+
+  // RestartManager events
+  restartManager.on('restart-scheduled', async ({ profileId, attempt, delay, maxRestarts }) => {
     if (mainWindow) {
-      mainWindow.webContents.send('port-changed', { oldPort, newPort, reason });
+      mainWindow.webContents.send('server-restart-scheduled', { profileId, attempt, delay, maxRestarts });
     }
+    await updateTrayMenu();
   });
 
-  // ServerMonitor events
-  serverMonitor.on('health-check-failed', ({ retryCount, maxRetries }) => {
+  restartManager.on('crash-loop', async ({ profileId, restarts, window }) => {
+    const name = configManager.getProfile(profileId)?.name || profileId;
+    showNotification(
+      'OxichStudio Server Crash-Looping',
+      `${name} crashed ${restarts} times in ${Math.round(window / 60000)} minutes. Automatic restarts have been stopped.`,
+      { timeoutType: 'never', onClick: showControlPanel }
+    );
+    if (mainWindow) {
+      mainWindow.webContents.send('server-crash-loop', { profileId, restarts, window });
+    }
+    await updateTrayMenu();
+  });
+}
+
+// ServerMonitor events (one monitor per profile)
+function setupServerMonitorListeners(profileId, monitor) {
+  monitor.on('health-check-failed', ({ retryCount, maxRetries }) => {
     if (mainWindow) {
-      mainWindow.webContents.send('server-health-warning', { retryCount, maxRetries });
+      mainWindow.webContents.send('server-health-warning', { profileId, retryCount, maxRetries });
     }
   });
 
-  serverMonitor.on('server-unhealthy', ({ metrics }) => {
+  monitor.on('server-unhealthy', ({ metrics }) => {
     if (mainWindow) {
-      mainWindow.webContents.send('server-critical-error', { metrics });
+      mainWindow.webContents.send('server-critical-error', { profileId, metrics });
     }
   });
 
-  serverMonitor.on('server-crashed', async ({ code, signal, uptime }) => {
-    const autoStart = configManager.get('server.autoStart', true);
+  monitor.on('server-crashed', async ({ code, signal }) => {
+    const state = getServerState(profileId);
+    const profile = configManager.getProfile(profileId);
     
-    if (nextJsProcess !== null) {
-      logManager?.info('Auto-restart ignored - Server already active or starting');
+    if (state.process !== null) {
+      logManager?.info('Auto-restart ignored - Server already active or starting', { profileId });
       await updateTrayMenu();
       return;
     }
     
-    if (autoStart) {
-      logManager?.info('Auto-restart enabled - Attempting restart');
-      setTimeout(async () => {
-        if (nextJsProcess !== null) {
-          logManager?.info('Auto-restart cancelled - Server already active');
-          await updateTrayMenu();
+    if (profile) {
+      restartManager.handleExit(profileId, { code, signal }, profile.restart, async () => {
+        if (getServerState(profileId).process !== null) {
+          logManager?.info('Auto-restart cancelled - Server already active', { profileId });
           return;
         }
-        
-        try {
-          await startNextJsServer();
-          logManager?.info('Auto-restart successful');
-        } catch (error) {
-          logManager?.warn('Auto-restart failed', { error: error.message });
-          await updateTrayMenu();
-        }
-      }, 7000);
-    } else {
-      logManager?.info('Auto-restart disabled - Server will remain stopped');
-      await updateTrayMenu();
+        await startNextJsServer(profileId);
+      });
+    }
+    await updateTrayMenu();
+  });
+
+  monitor.on('memory-limit-exceeded', async ({ pid, rss, maxRss, duration }) => {
+    const reason = `Memory ${Math.round(rss / 1048576)} MB above the ${Math.round(maxRss / 1048576)} MB ceiling for ${Math.round(duration / 1000)}s`;
+    await logManager.serverEvent('♻️ Recycling server - Memory ceiling exceeded', { profileId, pid, rss, maxRss, duration, reason });
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('server-recycled', { profileId, reason });
+    }
+
+    try {
+      await restartNextJsServer(profileId);
+    } catch (error) {
+      await logManager.error('Server recycle failed', { profileId, reason, error: error.message });
+      monitor.resetMemoryCeiling();
     }
   });
 }
 
-// === IMPROVED SERVER FUNCTIONS ===
-async function startNextJsServer() {
-  return new Promise(async (resolve, reject) => {
+// === SERVER PROFILES ===
+function getProfileOrThrow(profileId) {
+  const profile = configManager.getProfile(profileId);
+  if (!profile) {
+    throw new Error(`Server profile "${profileId}" does not exist.`);
+  }
+  return profile;
+}
+
+// Gets (and lazily creates) the runtime state of a profile
+function getServerState(profileId) {
+  if (!servers.has(profileId)) {
+    const monitor = new ServerMonitor(logManager, networkManager, processManager);
+    setupServerMonitorListeners(profileId, monitor);
+
+    servers.set(profileId, {
+      process: null,
+      port: configManager.getProfile(profileId)?.port || 8080,
+      hostname: null,
+      internalPort: null,
+      runtime: null,
+      bundle: null, // bundle version the process runs
+      proxy: null,
+      restarting: false,
+      starting: false,
+      monitor
+    });
+  }
+  return servers.get(profileId);
+}
+
+// Address the proxy listens on: loopback, or with LAN access the address chosen in the profile (hostname)
+// and otherwise all interfaces ('::' accepts IPv4 and IPv6)
+function getBindAddress(profile) {
+  if (!profile.enableLan) {
+    return '127.0.0.1';
+  }
+  if (networkManager?.isSpecificAddress(profile.hostname)) {
+    return profile.hostname;
+  }
+  return profile.ipv6 ? '::' : '0.0.0.0';
+}
+
+// Address the running proxy listens on, or the one it will use at next start
+function getActiveBindAddress(profileId, profile) {
+  const state = servers.get(profileId);
+  return state?.proxy ? state.hostname : getBindAddress(profile);
+}
+
+// Finds a free loopback port for a server child, skipping ports used by profiles
+async function findInternalPort(exclude = []) {
+  const reserved = new Set(exclude);
+  configManager.getProfiles().forEach(profile => reserved.add(profile.port));
+  servers.forEach(state => {
+    if (state.internalPort) reserved.add(state.internalPort);
+  });
+
+  const candidates = await networkManager.findAvailablePorts(INTERNAL_PORT_BASE, reserved.size + 1);
+  const port = candidates.find(candidate => !reserved.has(candidate));
+  if (!port) {
+    throw new Error('No free internal port is available for the server.');
+  }
+  return port;
+}
+
+// Variables set by OxichStudio for every server child (highest precedence)
+function getManagedEnv(port) {
+  return {
+    PORT: port.toString(),
+    HOSTNAME: '127.0.0.1',
+    NODE_ENV: 'production',
+    NEXT_TELEMETRY_DISABLED: '1'
+  };
+}
+
+// Closes the public-port proxy of a profile
+async function closeProxy(state) {
+  if (state.proxy) {
+    const proxy = state.proxy;
+    state.proxy = null;
+    await proxy.stop();
+  }
+}
+
+// Resolves how a profile's server is launched: a Node entrypoint or a custom command
+// (runtime comes from RuntimeManager.resolve and is only used for Node entrypoints)
+function resolveLaunchSpec(profile, runtime = null) {
+  if (profile.type === 'command') {
+    const command = profile.command;
+    const isPath = path.isAbsolute(command) || command.includes('/') || command.includes('\\');
+
+    return {
+      command: isPath ? path.resolve(command) : command,
+      args: profile.args || [],
+      cwd: profile.cwd ? path.resolve(profile.cwd) : (isPath ? path.dirname(path.resolve(command)) : os.homedir()),
+      checkPath: isPath ? path.resolve(command) : null,
+      // .cmd/.bat scripts can only be started through the shell on Windows
+      shell: process.platform === 'win32' && /\.(cmd|bat)$/i.test(command),
+      description: [command, ...(profile.args || [])].join(' ')
+    };
+  }
+
+  const serverPath = profile.entrypoint
+    ? path.resolve(profile.entrypoint)
+    : (profile.bundle ? bundleManager.getServerPath(profile.bundle) : NEXT_SERVER_PATH);
+  const heapLimit = profile.memory?.maxOldSpaceSize;
+  return {
+    command: runtime?.command || 'node',
+    args: [...(heapLimit ? [`--max-old-space-size=${heapLimit}`] : []), serverPath, ...(profile.args || [])],
+    cwd: profile.cwd ? path.resolve(profile.cwd) : path.dirname(serverPath),
+    checkPath: serverPath,
+    shell: false,
+    description: serverPath
+  };
+}
+
+// BUILD_ID of the Next.js build a profile serves (standalone directory or project directory)
+function getBuildIdPath(profile) {
+  const launch = resolveLaunchSpec(profile);
+  const buildRoot = profile.type === 'command' ? launch.cwd : path.dirname(launch.checkPath);
+  return path.join(buildRoot, '.next', 'BUILD_ID');
+}
+
+// Starts or stops watching the build of a profile according to its settings
+function updateBuildWatch(profileId, profile, buildId = undefined) {
+  if (profile?.buildWatch?.enabled && getServerState(profileId).process) {
+    const file = getBuildIdPath(profile);
+    if (buildWatcher.getBuild(profileId)?.file !== file || buildId !== undefined) {
+      buildWatcher.watch(profileId, file, buildId);
+    }
+  } else {
+    buildWatcher.unwatch(profileId);
+  }
+}
+
+// Checks the files of a Node entrypoint against its integrity.json (SHA-256 manifest written at build time)
+// The signature and a required manifest apply to the bundled server and imported bundles, not to custom entrypoints.
+async function verifyServerFiles(profileId, profile) {
+  if (profile.type === 'command' || !configManager.get('integrity.enabled', true)) {
+    return null;
+  }
+
+  const rootDir = path.dirname(resolveLaunchSpec(profile).checkPath);
+  const publicKeyPath = profile.entrypoint ? null : configManager.get('integrity.publicKey');
+  let publicKey = null;
+  if (publicKeyPath) {
     try {
-      // ✅ RELOAD configuration before startup
-      serverPort = configManager.get('server.port', 8080);
-      const enableLan = configManager.get('server.enableLan', true); // Get real config
-      
-      // ✅ HOSTNAME ACCORDING TO LAN CONFIGURATION
-      const hostname = enableLan ? '0.0.0.0' : '127.0.0.1';
-      
-      await logManager.serverEvent('🚀 Starting OxichStudio server', { 
-        port: serverPort, 
-        hostname,
-        enableLan 
+      publicKey = fs.readFileSync(publicKeyPath, 'utf8');
+    } catch (error) {
+      throw new Error(`The integrity check of "${profile.name}" could not read the public key ${publicKeyPath}: ${error.message}`);
+    }
+  }
+
+  const report = await IntegrityManager.verify(rootDir, {
+    publicKey,
+    requireManifest: !profile.entrypoint && configManager.get('integrity.requireManifest', false)
+  });
+  if (report.status === 'no-manifest' && report.verified) {
+    await logManager.info('No integrity manifest - File check skipped', { profileId, rootDir });
+    return report;
+  }
+
+  if (!report.verified) {
+    await logManager.error('Integrity check failed', {
+      profileId,
+      rootDir,
+      missing: report.missing,
+      modified: report.modified,
+      signature: report.signature,
+      error: report.error
+    });
+    consoleManager.system(profileId, `Integrity check failed: ${IntegrityManager.describe(report, 50)}`);
+
+    const error = new Error(`Application files of "${profile.name}" failed the integrity check: ${IntegrityManager.describe(report)} Antivirus software may have quarantined them - restore the files, reinstall OxichStudio or import the bundle again.`);
+    error.code = 'INTEGRITY_FAILED';
+    error.integrity = report;
+    throw error;
+  }
+
+  await logManager.info('✅ Application files verified', { profileId, files: report.fileCount, signature: report.signature, duration: report.duration });
+  return report;
+}
+
+// Points a profile at a bundle version (null = bundled server) and records it in the profile's history
+async function activateBundle(profileId, versionId) {
+  const current = getProfileOrThrow(profileId);
+  // The replaced version becomes the first rollback target
+  if (!current.entrypoint && (await bundleManager.getHistory(profileId)).length === 0) {
+    await bundleManager.recordActivation(profileId, current.bundle);
+  }
+
+  const profile = await configManager.saveProfile(profileId, { bundle: versionId, entrypoint: null });
+  await bundleManager.recordActivation(profileId, versionId);
+  updateBuildWatch(profileId, profile);
+  await updateTrayMenu();
+  return profile;
+}
+
+// Startup result of the bundle version a profile runs (custom entrypoints and commands have no version)
+async function recordBundleHealth(profileId, profile, healthy, error = null) {
+  if (profile.type === 'command' || profile.entrypoint) return;
+  try {
+    // Profiles that never used an imported bundle keep no history
+    if (!profile.bundle && (await bundleManager.getHistory(profileId)).length === 0) return;
+    await bundleManager.recordHealth(profileId, profile.bundle, { healthy, error });
+  } catch (recordError) {
+    await logManager.warn('Bundle health could not be recorded', { profileId, error: recordError.message });
+  }
+}
+
+// Returns a profile to an earlier bundle version: stop, repoint, start and wait for the readiness probe
+// versionId undefined picks the newest earlier version that did not fail.
+// options.guardHeld: the caller already holds the start guard (automatic rollback inside a start)
+async function rollbackBundle(profileId, versionId = undefined, { reason = null, automatic = false, guardHeld = false } = {}) {
+  const profile = getProfileOrThrow(profileId);
+  const state = getServerState(profileId);
+  if (!guardHeld) {
+    if (state.starting) {
+      throw new Error(`Server "${profile.name}" is already starting.`);
+    }
+    // Stop, repoint and start must not interleave with another start
+    state.starting = true;
+  }
+
+  try {
+    return await switchBundleAndStart(profileId, profile, versionId, { reason, automatic });
+  } finally {
+    if (!guardHeld) {
+      state.starting = false;
+    }
+  }
+}
+
+async function switchBundleAndStart(profileId, profile, versionId, { reason, automatic }) {
+  const target = versionId !== undefined ? { versionId } : await bundleManager.findRollbackTarget(profileId, profile.bundle);
+  if (!target) {
+    throw new Error(`"${profile.name}" has no earlier bundle version to roll back to.`);
+  }
+  if (target.versionId !== null && !await bundleManager.get(target.versionId)) {
+    throw new Error(`Bundle version "${target.versionId}" does not exist`);
+  }
+
+  const from = profile.bundle;
+  await logManager.serverEvent('⏪ Bundle rollback', { profileId, from, to: target.versionId, automatic, reason });
+
+  if (getServerState(profileId).process) {
+    await stopNextJsServer(profileId);
+  }
+  await activateBundle(profileId, target.versionId);
+
+  // The readiness probe verifies the version; a failure here is not rolled back again
+  const result = await startNextJsServer(profileId, { rollback: false, guardHeld: true });
+  notifyBundleRollback(profileId, profile, { from, to: target.versionId, automatic, reason });
+  return { ...result, rollback: { from, to: target.versionId, automatic } };
+}
+
+async function rollbackAfterFailedStart(profileId, profile, error) {
+  const target = await bundleManager.findRollbackTarget(profileId, profile.bundle);
+  if (!target) {
+    await logManager.warn('Bundle failed to start - No earlier version to roll back to', { profileId, versionId: profile.bundle });
+    throw error;
+  }
+
+  try {
+    return await rollbackBundle(profileId, target.versionId, { reason: error.message, automatic: true, guardHeld: true });
+  } catch (rollbackError) {
+    await logManager.error('Automatic bundle rollback failed', { profileId, error: rollbackError.message });
+    rollbackError.message = `${error.message} Rolling back to the previous version also failed: ${rollbackError.message}`;
+    throw rollbackError;
+  }
+}
+
+function notifyBundleRollback(profileId, profile, { from, to, automatic, reason = null }) {
+  const label = to || 'the bundled application';
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('bundle-rolled-back', { profileId, from, to, automatic, reason });
+  }
+  if (automatic) {
+    showNotification(
+      `${profile.name}: rolled back`,
+      `Version ${from} failed to start. The server now runs ${label}.`,
+      { onClick: showControlPanel }
+    );
+  }
+}
+
+// Runs a lifecycle hook of a profile in the server's directory and environment
+async function runProfileHook(profileId, profile, name, port) {
+  const hook = profile.hooks?.[name];
+  if (!hook?.command) {
+    return { success: true, skipped: true };
+  }
+
+  try {
+    const runtime = await runtimeManager.resolve(profile).catch(() => null);
+    const { cwd } = resolveLaunchSpec(profile, runtime);
+    const managedEnv = { ...runtime?.env, ...getManagedEnv(port) };
+    const { env } = envManager.buildEnvironment(profile, cwd, managedEnv);
+
+    consoleManager.system(profileId, `Running ${name} hook: ${hook.command}`);
+    const result = await hookManager.run(profileId, name, hook, { cwd, env, runtime });
+    consoleManager.system(profileId, result.success
+      ? `${name} hook completed in ${result.duration} ms`
+      : `${name} hook failed: ${result.error}`);
+    return result;
+  } catch (error) {
+    await logManager.error(`${name} hook could not be run`, { profileId, error: error.message });
+    return { success: false, skipped: false, error: error.message, output: '' };
+  }
+}
+
+// Turns a failed pre-start hook into an error shown by the control panel
+function hookError(profile, name, result) {
+  const lastLines = (result.output || '').split(/\r?\n/).slice(-5).join('\n');
+  const error = new Error(`The ${name} hook of "${profile.name}" failed (${result.error}). The server was not started.${lastLines ? `\n\n${lastLines}` : ''}`);
+  error.code = 'HOOK_FAILED';
+  return error;
+}
+
+async function stopAllServers() {
+  restartManager?.cancelAll();
+  const running = [...servers.entries()].filter(([, state]) => state.process || state.proxy);
+
+  // Drain all servers in parallel so quitting is bounded by the slowest one
+  const results = await Promise.allSettled(running.map(([profileId]) => stopNextJsServer(profileId)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logManager?.warn('Server stop failed', { profileId: running[index][0], error: result.reason?.message });
+    }
+  });
+}
+
+// === IMPROVED SERVER FUNCTIONS ===
+// options.rollback: return to the previous bundle version when the configured one fails to start
+// options.guardHeld: the caller (a bundle rollback) already set state.starting and clears it itself
+async function startNextJsServer(profileId = 'default', { rollback = true, guardHeld = false } = {}) {
+  // ✅ RELOAD profile configuration before startup
+  const profile = getProfileOrThrow(profileId);
+  const state = getServerState(profileId);
+
+  if (state.process) {
+    throw new Error(`Server "${profile.name}" is already running.`);
+  }
+
+  if (state.starting && !guardHeld) {
+    throw new Error(`Server "${profile.name}" is already starting.`);
+  }
+
+  // Every await below could let another start (UI, schedule, API, control socket) pass the checks above
+  state.starting = true;
+  try {
+    // A proxy left from a crashed instance would hold the public port
+    await closeProxy(state);
+
+    let serverPort = profile.port;
+    const enableLan = profile.enableLan;
+    const launch = resolveLaunchSpec(profile);
+  
+    // ✅ HOSTNAME ACCORDING TO LAN CONFIGURATION (bound by the proxy, the child stays on loopback)
+    const hostname = getBindAddress(profile);
+  
+    await logManager.serverEvent('🚀 Starting OxichStudio server', { 
+      profileId,
+      port: serverPort, 
+      hostname,
+      enableLan 
+    });
+
+    // An address of an interface that is down or was renumbered (VPN, DHCP) cannot be listened on
+    if (networkManager.isSpecificAddress(hostname) && !networkManager.hasLocalAddress(hostname)) {
+      const errorMsg = `The address ${hostname} chosen for "${profile.name}" is not assigned to any network interface. Choose another address or "All interfaces".`;
+      await logManager.error('Server startup failed - Bind address not available', { profileId, hostname });
+      throw new Error(errorMsg);
+    }
+
+    // ✅ VERIFY that the server entrypoint and working directory exist
+    const missingPath = [launch.checkPath, launch.cwd].find(p => p && !fs.existsSync(p));
+    if (missingPath) {
+      const errorMsg = `Server file not found at: ${missingPath}`;
+      console.log(`❌ ${errorMsg}`);
+      await logManager.error('Server startup failed - Missing files', { 
+        profileId,
+        path: missingPath,
+        isPackaged,
+        isDev 
       });
+    
+      if (missingPath === launch.cwd && missingPath !== launch.checkPath) {
+        throw new Error(`Working directory for "${profile.name}" was not found: ${missingPath}`);
+      } else if (profile.type === 'command' || profile.entrypoint) {
+        throw new Error(`Server entrypoint for "${profile.name}" was not found: ${missingPath}`);
+      } else if (profile.bundle) {
+        throw new Error(`Bundle version "${profile.bundle}" of "${profile.name}" was not found. Import it again or choose another version.`);
+      } else {
+        throw new Error('OxichStudio application files are missing or corrupted. Please reinstall the application.');
+      }
+    } else {
+      console.log(`✅ Server launch verified: ${launch.description}`);
+      await logManager.info('Server file verified', { profileId, command: launch.description, cwd: launch.cwd });
+    }
 
-      // ✅ VERIFY that Next.js standalone exists
-      if (!fs.existsSync(NEXT_SERVER_PATH)) {
-        const errorMsg = `Next.js server file not found at: ${NEXT_SERVER_PATH}`;
-        console.log(`❌ ${errorMsg}`);
-        await logManager.error('Server startup failed - Missing files', { 
-          path: NEXT_SERVER_PATH,
-          isPackaged,
-          isDev 
+    // ✅ VERIFY the application files against the manifest written at build time
+    await verifyServerFiles(profileId, profile);
+
+    // ✅ PRE-START HOOK (migrations, cache warm-up...) - a failure blocks the startup
+    const preStart = await runProfileHook(profileId, profile, 'preStart', serverPort);
+    if (!preStart.success) {
+      throw hookError(profile, 'preStart', preStart);
+    }
+
+    // ✅ VERIFY PORT AVAILABILITY (public port, owned by the proxy)
+    const portAvailable = await networkManager.isPortAvailable(serverPort);
+    if (!portAvailable) {
+      await logManager.warn('Port conflict detected', { 
+        profileId,
+        port: serverPort,
+        suggestion: 'Will try alternative ports' 
+      });
+    
+      // Try to find alternative ports
+      const alternatives = await networkManager.findAvailablePorts(serverPort, 5);
+      if (alternatives.length > 0) {
+        const newPort = alternatives[0];
+        await logManager.info('Using alternative port', { 
+          profileId,
+          originalPort: serverPort, 
+          newPort: newPort 
         });
-        
-        reject(new Error('OxichStudio application files are missing or corrupted. Please reinstall the application.'));
-        return;
+        serverPort = newPort;
+        await configManager.set(`profiles.${profileId}.port`, serverPort);
+        configManager.clearRuntimeOverrides(profileId, ['port']);
       } else {
-        console.log(`✅ Next.js server file found at: ${NEXT_SERVER_PATH}`);
-        await logManager.info('Next.js server file verified', { path: NEXT_SERVER_PATH });
+        const error = new Error(`Port ${serverPort} is already in use and no alternatives are available.`);
+        error.suggestions = ['8081', '8082', '3000', '3001'];
+        throw error;
       }
+    }
 
-      // ✅ VERIFY PORT AVAILABILITY
-      const portAvailable = await networkManager.isPortAvailable(serverPort);
-      if (!portAvailable) {
-        await logManager.warn('Port conflict detected', { 
-          port: serverPort,
-          suggestion: 'Will try alternative ports' 
-        });
-        
-        // Try to find alternative ports
-        const alternatives = await networkManager.findAvailablePorts(serverPort, 5);
-        if (alternatives.length > 0) {
-          const newPort = alternatives[0];
-          await logManager.info('Using alternative port', { 
-            originalPort: serverPort, 
-            newPort: newPort 
-          });
-          serverPort = newPort;
-          configManager.set('server.port', serverPort);
-        } else {
-          const error = new Error(`Port ${serverPort} is already in use and no alternatives are available.`);
-          error.suggestions = ['8081', '8082', '3000', '3001'];
-          reject(error);
-          return;
-        }
+    const internalPort = await findInternalPort();
+    const buildId = BuildWatcher.readBuildId(getBuildIdPath(profile));
+
+    let serverProcess;
+    try {
+      serverProcess = await launchServerInstance(profileId, profile, internalPort, (child, runtime) => {
+        state.process = child;
+        state.port = serverPort;
+        state.hostname = hostname;
+        state.internalPort = internalPort;
+        state.runtime = runtime;
+        state.bundle = profile.bundle;
+      });
+    } catch (error) {
+      await recordBundleHealth(profileId, profile, false, error.message);
+      if (rollback && profile.bundle && profile.autoRollback && !profile.entrypoint) {
+        // The guard stays set until the rollback has finished
+        return await rollbackAfterFailedStart(profileId, profile, error);
       }
+      throw error;
+    } finally {
+      await updateTrayMenu();
+    }
+    await recordBundleHealth(profileId, profile, true);
 
-      // ✅ ENVIRONMENT VARIABLES
-      const env = {
-        ...process.env,
-        PORT: serverPort.toString(),
-        HOSTNAME: hostname,
-        NODE_ENV: 'production',
-        NEXT_TELEMETRY_DISABLED: '1'
-      };
+    // ✅ PUBLIC PORT - the proxy keeps it stable across zero-downtime restarts
+    try {
+      const proxy = new ProxyServer(logManager, {
+        profileId,
+        securityManager,
+        maxRequests: profile.security?.maxRequests,
+        enforceOrigin: profile.security?.enforceOrigin
+      });
+      await proxy.start(serverPort, hostname, internalPort);
+      state.proxy = proxy;
+    } catch (error) {
+      await logManager.error('Proxy failed to listen on public port', { profileId, port: serverPort, hostname, error: error.message });
+      state.process = null;
+      await processManager.terminate(serverProcess, profile.shutdown);
+      await updateTrayMenu();
+
+      if (['EADDRNOTAVAIL', 'EAFNOSUPPORT'].includes(error.code)) {
+        throw new Error(`Cannot listen on ${hostname}: the address is not available on this computer${hostname === '::' ? ' (is IPv6 disabled?)' : ''}.`);
+      }
+      const portError = new Error(`Port ${serverPort} is already being used by another application.`);
+      portError.suggestions = ['8081', '8082', '3000', '3001'];
+      throw portError;
+    }
+
+    // Start monitoring
+    state.monitor.startMonitoring(serverProcess, internalPort, '127.0.0.1', profile.probes.liveness, profile.memory);
+    updateBuildWatch(profileId, profile, buildId);
+  
+    await updateTrayMenu();
+  
+    // Post-start hooks do not delay the startup; failures are only logged
+    runProfileHook(profileId, profile, 'postStart', serverPort);
+  
+    return {
+      success: true,
+      profileId,
+      port: serverPort,
+      pid: serverProcess.pid,
+      hostname: hostname,
+      enableLan: enableLan
+    };
+  } finally {
+    if (!guardHeld) {
+      state.starting = false;
+    }
+  }
+}
+
+// Spawns a server instance on a loopback port and resolves once it answers HTTP.
+// onSpawn lets the caller register the child before it is ready.
+async function launchServerInstance(profileId, profile, port, onSpawn = null) {
+  const state = getServerState(profileId);
+  const runtime = profile.type === 'command' ? null : await runtimeManager.resolve(profile);
+  const launch = resolveLaunchSpec(profile, runtime);
+
+  return new Promise(async (resolve, reject) => {
+    try {
+      // ✅ ENVIRONMENT VARIABLES (system < .env < .env.production < profile < OxichStudio)
+      const managedEnv = { ...runtime?.env, ...getManagedEnv(port) };
+      const { env, files: envFiles } = envManager.buildEnvironment(profile, launch.cwd, managedEnv);
+
+      // Custom commands get the heap limit through NODE_OPTIONS (Node entrypoints get a flag)
+      const heapLimit = profile.memory?.maxOldSpaceSize;
+      if (heapLimit && profile.type === 'command') {
+        env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --max-old-space-size=${heapLimit}`.trim();
+      }
 
       await logManager.info('✅ Server environment prepared', { 
-        port: serverPort, 
-        hostname,
-        nodeVersion: process.version 
+        profileId,
+        port, 
+        envFiles,
+        profileVariables: Object.keys(profile.env || {}),
+        runtime: runtime?.description || 'custom command'
       });
 
-      // ✅ SPAWN NEXT.JS SERVER
-      nextJsProcess = spawn('node', [NEXT_SERVER_PATH], {
+      // ✅ SPAWN SERVER
+      const serverProcess = spawn(launch.command, launch.args, {
+        cwd: launch.cwd,
         env,
+        shell: launch.shell,
         stdio: ['pipe', 'pipe', 'pipe'],
         detached: false
       });
+      consoleManager.attach(profileId, serverProcess);
+      if (runtime) {
+        consoleManager.system(profileId, `Runtime: ${runtime.description}${runtime.fallback ? ' - bundled runtime unavailable' : ''}`, serverProcess.pid);
+      }
+      if (onSpawn) {
+        onSpawn(serverProcess, runtime);
+      }
 
+      // Forget the child if it was registered as the profile's process
+      const release = () => {
+        if (state.process === serverProcess) {
+          state.process = null;
+        }
+      };
+
+      const readiness = new HealthProbe(profile.probes.readiness);
       let serverStartupTimeout;
       let healthCheckInterval;
+      let lastProbeError = null;
       let isResolved = false;
 
-      // ✅ IMPROVED STARTUP DETECTION - Use HTTP health checks instead of just stdout
+      const markStarted = async (detectionMethod) => {
+        clearTimeout(serverStartupTimeout);
+        if (healthCheckInterval) clearInterval(healthCheckInterval);
+        isResolved = true;
+        
+        await logManager.serverEvent('✅ OxichStudio server started successfully', { 
+          profileId,
+          port,
+          pid: serverProcess.pid,
+          uptime: '0s',
+          detectionMethod
+        });
+        
+        resolve(serverProcess);
+      };
+
+      // ✅ READINESS PROBE - the server is started once the probe succeeds
       const performStartupHealthCheck = async () => {
-        try {
-          const response = await fetch(`http://127.0.0.1:${serverPort}`, { 
-            method: 'HEAD',
-            timeout: 3000 
-          });
-          
-          if (response.ok || response.status < 500) {
-            // Server is responding - startup successful
-            if (!isResolved) {
-              clearTimeout(serverStartupTimeout);
-              if (healthCheckInterval) clearInterval(healthCheckInterval);
-              isResolved = true;
-              
-              await logManager.serverEvent('✅ OxichStudio server started successfully', { 
-                port: serverPort,
-                pid: nextJsProcess.pid,
-                uptime: '0s',
-                detectionMethod: 'HTTP health check'
-              });
-              
-              // Start monitoring
-              serverMonitor.startMonitoring(nextJsProcess.pid, serverPort);
-              
-              await updateTrayMenu();
-              
-              resolve({
-                success: true,
-                port: serverPort,
-                pid: nextJsProcess.pid,
-                hostname: hostname,
-                enableLan: enableLan
-              });
-            }
-            return true;
+        if (isResolved) return false;
+
+        const result = await readiness.check(port);
+        if (result.healthy) {
+          if (!isResolved) {
+            await markStarted(`readiness probe (${readiness.method} ${readiness.path})`);
           }
-        } catch (error) {
-          // Server not ready yet, continue waiting
-          return false;
+          return true;
         }
+
+        lastProbeError = result.error;
         return false;
       };
 
-      // ✅ STARTUP TIMEOUT (30 seconds - more reasonable timeout)
-      serverStartupTimeout = setTimeout(() => {
-        if (!isResolved) {
-          isResolved = true;
-          if (healthCheckInterval) clearInterval(healthCheckInterval);
-          nextJsProcess?.kill();
-          nextJsProcess = null;
-          
-          const errorMsg = 'Server startup timed out after 30 seconds';
-          logManager.error(errorMsg, { port: serverPort });
-          reject(new Error('OxichStudio is taking too long to start. This may be due to system performance or antivirus interference.'));
-        }
-      }, 30000); // Reduced to 30 seconds
+      const failStartup = (errorMsg, userMessage) => {
+        if (isResolved) return;
+        isResolved = true;
+        clearTimeout(serverStartupTimeout);
+        if (healthCheckInterval) clearInterval(healthCheckInterval);
+        serverProcess.kill();
+        release();
 
-      // ✅ START HEALTH CHECK POLLING AFTER A SHORT DELAY
+        logManager.error(errorMsg, { profileId, port, probe: `${readiness.method} ${readiness.path}`, lastProbeError });
+        reject(new Error(userMessage));
+      };
+
+      // ✅ STARTUP TIMEOUT - every readiness attempt may use its full timeout
+      const startupTimeout = readiness.initialDelay + readiness.failureThreshold * (readiness.interval + readiness.timeout);
+      serverStartupTimeout = setTimeout(() => {
+        failStartup(
+          `Server startup timed out after ${Math.round(startupTimeout / 1000)} seconds`,
+          'OxichStudio is taking too long to start. This may be due to system performance or antivirus interference.'
+        );
+      }, startupTimeout);
+
+      // ✅ START READINESS POLLING AFTER THE INITIAL DELAY
+      let probeFailures = 0;
       setTimeout(() => {
         if (!isResolved) {
           healthCheckInterval = setInterval(async () => {
-            if (!isResolved) {
-              await performStartupHealthCheck();
-            } else {
+            if (isResolved) {
               clearInterval(healthCheckInterval);
+              return;
+            }
+
+            if (!(await performStartupHealthCheck()) && !isResolved && ++probeFailures >= readiness.failureThreshold) {
+              failStartup(
+                `Readiness probe failed ${probeFailures} times`,
+                `Server did not become ready: ${readiness.method} ${readiness.path} failed ${probeFailures} times (${lastProbeError || 'no response'}).`
+              );
             }
-          }, 2000); // Check every 2 seconds
+          }, readiness.interval);
         }
-      }, 3000); // Start health checks after 3 seconds
+      }, readiness.initialDelay);
 
-      // ✅ STDOUT HANDLING (keep as fallback detection)
-      nextJsProcess.stdout.on('data', async (data) => {
+      // ✅ STDOUT HANDLING (ready messages trigger an early readiness probe)
+      serverProcess.stdout.on('data', (data) => {
+        // Output itself is captured by the ConsoleManager
         const output = data.toString();
         
-        // Log all output for debugging
-        console.log(`🔧 Next.js STDOUT: ${output.trim()}`);
-        await logManager.debug('Server output', { output: output.trim() });
-        
         // Improved pattern matching for Next.js output
         if (!isResolved && (
           output.includes('started server') || 
           output.includes('Local:') || 
-          output.includes(`localhost:${serverPort}`) ||
-          output.includes(`port ${serverPort}`) ||
+          output.includes(`localhost:${port}`) ||
+          output.includes(`port ${port}`) ||
           output.includes('Ready on') ||
           output.includes('ready -')
         )) {
-          // Give HTTP health check a chance to confirm
-          setTimeout(async () => {
-            if (!isResolved) {
-              const isHealthy = await performStartupHealthCheck();
-              if (!isHealthy) {
-                // Fallback to stdout detection if health check fails
-                clearTimeout(serverStartupTimeout);
-                if (healthCheckInterval) clearInterval(healthCheckInterval);
-                isResolved = true;
-                
-                await logManager.serverEvent('✅ OxichStudio server started successfully', { 
-                  port: serverPort,
-                  pid: nextJsProcess.pid,
-                  uptime: '0s',
-                  detectionMethod: 'stdout parsing'
-                });
-                
-                // Start monitoring
-                serverMonitor.startMonitoring(nextJsProcess.pid, serverPort);
-                
-                await updateTrayMenu();
-                
-                resolve({
-                  success: true,
-                  port: serverPort,
-                  pid: nextJsProcess.pid,
-                  hostname: hostname,
-                  enableLan: enableLan
-                });
-              }
-            }
-          }, 1000); // Wait 1 second for HTTP check
+          // Give the server a moment to accept connections
+          setTimeout(() => performStartupHealthCheck(), 1000);
         }
       });
 
       // ✅ STDERR HANDLING
-      nextJsProcess.stderr.on('data', async (data) => {
+      serverProcess.stderr.on('data', (data) => {
         const errorOutput = data.toString();
         
-        // Log all error output for debugging
-        console.log(`🔧 Next.js STDERR: ${errorOutput.trim()}`);
-        await logManager.warn('Server warning', { output: errorOutput.trim() });
-        
-        // Check for specific errors
+        // Check for specific errors (the child is killed so no untracked instance is left behind)
         if (errorOutput.includes('EADDRINUSE')) {
-          if (!isResolved) {
-            clearTimeout(serverStartupTimeout);
-            isResolved = true;
-            nextJsProcess = null;
-            
-            await updateTrayMenu();
-            const error = new Error(`Port ${serverPort} is already being used by another application.`);
-            error.suggestions = ['8081', '8082', '3000', '3001'];
-            reject(error);
-          }
+          // The loopback port was taken between findInternalPort and the spawn
+          failStartup(
+            `Internal port ${port} is already in use`,
+            `The server could not listen on its internal port ${port}, which another process took meanwhile. Please try again.`
+          );
         } else if (errorOutput.includes('EACCES') || errorOutput.includes('permission denied')) {
-          if (!isResolved) {
-            clearTimeout(serverStartupTimeout);
-            isResolved = true;
-            nextJsProcess = null;
-            
-            await updateTrayMenu();
-            reject(new Error('Permission denied. Try running OxichStudio as administrator or use a port number above 1024.'));
-          }
+          failStartup(
+            'Server startup failed - Permission denied',
+            'Permission denied. Check the permissions of the server files or try running OxichStudio as administrator.'
+          );
         }
       });
 
       // ✅ PROCESS EXIT HANDLING
-      nextJsProcess.on('exit', async (code, signal) => {
-        serverMonitor.stopMonitoring();
-        
+      serverProcess.on('exit', async (code, signal) => {
+        const wasCurrent = state.process === serverProcess;
+        release();
+
         if (!isResolved) {
           clearTimeout(serverStartupTimeout);
+          if (healthCheckInterval) clearInterval(healthCheckInterval);
           isResolved = true;
-          nextJsProcess = null;
           
-          let errorMessage = 'Server failed to start';
           let userMessage = 'OxichStudio could not start properly.';
           
           if (code !== null) {
-            await logManager.error('Server exited during startup', { exitCode: code, signal });
+            await logManager.error('Server exited during startup', { profileId, exitCode: code, signal });
             
             switch (code) {
               case 1:
@@ -455,44 +1083,48 @@ async function startNextJsServer() {
                 userMessage = `Server stopped unexpectedly (exit code ${code}). Please try restarting.`;
             }
           } else if (signal) {
-            await logManager.error('Server killed during startup', { signal });
+            await logManager.error('Server killed during startup', { profileId, signal });
             userMessage = 'Server was terminated unexpectedly. This may be due to antivirus software or system security.';
           }
           
-          await updateTrayMenu();
           reject(new Error(userMessage));
         } else {
           // Normal exit after server was running
+          // (unexpected exits are reported by the profile's ServerMonitor)
           await logManager.serverEvent('🛑 OxichStudio server stopped', { 
+            profileId,
+            pid: serverProcess.pid,
             exitCode: code, 
             signal,
             wasRunning: true 
           });
           
-          nextJsProcess = null;
-          
-          // Notify monitoring
-          if (serverMonitor) {
-            serverMonitor.handleServerCrash(code, signal);
+          // Release the public port unless traffic already moved to another instance
+          if (wasCurrent) {
+            await closeProxy(state);
           }
+          await updateTrayMenu();
         }
       });
 
       // ✅ ERROR HANDLING
-      nextJsProcess.on('error', async (error) => {
+      serverProcess.on('error', async (error) => {
         if (!isResolved) {
           clearTimeout(serverStartupTimeout);
           isResolved = true;
-          nextJsProcess = null;
+          release();
           
           await logManager.error('Server process error', { 
+            profileId,
             error: error.message,
             code: error.code 
           });
           
           let userMessage = 'Failed to start OxichStudio server.';
           
-          if (error.code === 'ENOENT') {
+          if (error.code === 'ENOENT' && profile.type === 'command') {
+            userMessage = `Command not found: ${launch.command}`;
+          } else if (error.code === 'ENOENT') {
             userMessage = 'Server files are missing. Please reinstall OxichStudio.';
           } else if (error.code === 'EACCES') {
             userMessage = 'Permission denied. Try running OxichStudio as administrator.';
@@ -500,125 +1132,228 @@ async function startNextJsServer() {
             userMessage = 'Too many files open. Please close other applications and try again.';
           }
           
-          await updateTrayMenu();
           reject(new Error(userMessage));
         }
       });
 
     } catch (error) {
       await logManager.error('Unexpected startup error', { 
+        profileId,
         error: error.message,
         stack: error.stack 
       });
       
-      await updateTrayMenu();
       reject(new Error('An unexpected error occurred while starting OxichStudio. Please try again or restart the application.'));
     }
   });
 }
 
-async function stopNextJsServer() {
-  let processKilled = false;
+// Zero-downtime restart: boot a new instance on a spare port, switch the proxy
+// to it once healthy, then drain and stop the old one
+async function restartNextJsServer(profileId = 'default') {
+  const profile = getProfileOrThrow(profileId);
+  const state = getServerState(profileId);
+
+  if (!state.process || !state.proxy) {
+    return startNextJsServer(profileId);
+  }
+
+  if (state.restarting) {
+    throw new Error(`Server "${profile.name}" is already restarting.`);
+  }
+
+  // A new public port or bind address cannot be swapped behind the running proxy
+  const hostname = getBindAddress(profile);
+  if (profile.port !== state.port || hostname !== state.hostname) {
+    await logManager.info('Public port or network access changed - Restarting with stop/start', { profileId });
+    await stopNextJsServer(profileId);
+    return startNextJsServer(profileId);
+  }
+
+  const oldProcess = state.process;
+  const oldPort = state.internalPort;
+  state.restarting = true;
+
+  try {
+    const sparePort = await findInternalPort([oldPort]);
+    await logManager.serverEvent('🔄 Zero-downtime restart requested', {
+      profileId,
+      publicPort: state.port,
+      fromPort: oldPort,
+      toPort: sparePort
+    });
+
+    const preStart = await runProfileHook(profileId, profile, 'preStart', state.port);
+    if (!preStart.success) {
+      // The old instance keeps serving
+      throw hookError(profile, 'preStart', preStart);
+    }
+
+    // A damaged build is not swapped in: the old instance keeps serving
+    await verifyServerFiles(profileId, profile);
+
+    const newBuildId = BuildWatcher.readBuildId(getBuildIdPath(profile));
+    let newRuntime = null;
+    let newProcess;
+    try {
+      newProcess = await launchServerInstance(profileId, profile, sparePort, (child, runtime) => {
+        newRuntime = runtime;
+      });
+    } catch (error) {
+      await recordBundleHealth(profileId, profile, false, error.message);
+      // The old instance keeps serving: point the profile back at its version
+      if (profile.bundle && profile.autoRollback && !profile.entrypoint && state.bundle !== profile.bundle) {
+        await activateBundle(profileId, state.bundle);
+        notifyBundleRollback(profileId, profile, { from: profile.bundle, to: state.bundle, automatic: true, reason: error.message });
+        error.message = `${error.message} The profile was rolled back to the running version.`;
+      }
+      throw error;
+    }
+    await recordBundleHealth(profileId, profile, true);
+
+    // The old instance may have died while the new one was booting
+    if (state.process !== oldProcess || !state.proxy) {
+      await processManager.terminate(newProcess, profile.shutdown);
+      throw new Error(`Server "${profile.name}" stopped during the restart.`);
+    }
+
+    // Switch traffic: new requests go to the new instance
+    state.monitor.stopMonitoring();
+    state.proxy.setTarget(sparePort);
+    state.process = newProcess;
+    state.internalPort = sparePort;
+    state.runtime = newRuntime;
+    state.bundle = profile.bundle;
+    state.monitor.startMonitoring(newProcess, sparePort, '127.0.0.1', profile.probes.liveness, profile.memory);
+    const previousBuild = buildWatcher.getBuild(profileId);
+    updateBuildWatch(profileId, profile, newBuildId);
+    await updateTrayMenu();
+
+    // Let in-flight requests to the old instance finish, then stop it
+    const { drainTimeout, killTimeout } = profile.shutdown || {};
+    const drained = await state.proxy.waitForDrain(oldPort, drainTimeout);
+    if (!drained) {
+      await logManager.warn('Old instance still had requests in flight after drain timeout', { profileId, port: oldPort });
+    }
+    await processManager.terminate(oldProcess, { drainTimeout, killTimeout });
+
+    await logManager.serverEvent('✅ Zero-downtime restart completed', {
+      profileId,
+      publicPort: state.port,
+      oldPid: oldProcess.pid,
+      newPid: newProcess.pid,
+      ...(previousBuild && { previousBuildId: previousBuild.buildId, buildId: newBuildId })
+    });
+
+    runProfileHook(profileId, profile, 'postStart', state.port);
+
+    return {
+      success: true,
+      profileId,
+      port: state.port,
+      pid: newProcess.pid,
+      hostname: state.hostname,
+      enableLan: profile.enableLan
+    };
+  } finally {
+    state.restarting = false;
+    await updateTrayMenu();
+  }
+}
+
+async function stopNextJsServer(profileId = 'default') {
+  const state = getServerState(profileId);
+  const profile = configManager.getProfile(profileId);
+  const { drainTimeout, killTimeout } = profile?.shutdown || {};
+  const serverPort = state.port;
+  const internalPort = state.internalPort;
+  
+  // A stopped server must not be brought back by a pending automatic restart
+  restartManager.reset(profileId);
   
   // 1. Stop the process tracked by Electron if it exists
-  if (nextJsProcess) {
-    await logManager.serverEvent('Server stop requested', { pid: nextJsProcess.pid });
+  const wasRunning = Boolean(state.process);
+  buildWatcher.unwatch(profileId);
+  if (state.process) {
+    const serverProcess = state.process;
+    await logManager.serverEvent('Server stop requested', { profileId, pid: serverProcess.pid });
+    
+    // Pre-stop hooks run while the server still answers; failures do not block the stop
+    if (profile) {
+      await runProfileHook(profileId, profile, 'preStop', serverPort);
+    }
     
-    // Stop monitoring
-    serverMonitor.stopMonitoring();
+    // Stop monitoring so the exit is not reported as a crash
+    state.monitor.stopMonitoring();
     
-    try {
-    nextJsProcess.kill('SIGTERM');
-      processKilled = true;
-      await logManager.info('Electron process killed', { pid: nextJsProcess.pid });
-    } catch (error) {
-      await logManager.warn('Failed to stop Electron process', { error: error.message });
+    const result = await processManager.terminate(serverProcess, { drainTimeout, killTimeout });
+    if (!result.stopped) {
+      await updateTrayMenu();
+      throw new Error(`Server process ${serverProcess.pid} could not be stopped.`);
     }
     
-    nextJsProcess = null;
+    if (state.process === serverProcess) {
+      state.process = null;
+    }
   }
   
-  // 2. Check if there's still a server on the port (external process)
-  try {
-    const response = await fetch(`http://127.0.0.1:${serverPort}`, { 
-      method: 'HEAD',
-      timeout: 2000 
-    });
-    
-    if (response.ok || response.status < 500) {
-      // Server still responds - it's an external process
-      await logManager.warn('External server detected on port', { port: serverPort });
+  // Release the public port
+  await closeProxy(state);
+  
+  // 2. Check if something still holds the public or internal port (external or orphaned process,
+  //    e.g. a grandchild of the server still listening on the loopback port)
+  const ports = [serverPort, internalPort].filter((port, index, list) =>
+    port && list.indexOf(port) === index && ![...servers.entries()].some(
+      ([otherId, other]) => otherId !== profileId && other.process && (other.port === port || other.internalPort === port)
+    )
+  );
+
+  for (const port of ports) {
+    if (await networkManager.isPortAvailable(port)) continue;
+
+    const pid = await processManager.findPidByPort(port);
+    if (pid && pid !== process.pid) {
+      await logManager.warn('External server detected on port', { profileId, port, pid });
+      const result = await processManager.terminate(pid, { drainTimeout, killTimeout });
       
-      // Try to kill process by port (Windows/PowerShell)
-      if (process.platform === 'win32') {
-        try {
-          const { spawn } = require('child_process');
-          
-          // Find PID of process using the port
-          const netstatProcess = spawn('netstat', ['-ano'], { shell: true });
-          let netstatOutput = '';
-          
-          netstatProcess.stdout.on('data', (data) => {
-            netstatOutput += data.toString();
-          });
-          
-          netstatProcess.on('close', async () => {
-            const lines = netstatOutput.split('\n');
-            const portLine = lines.find(line => 
-              line.includes(`:${serverPort} `) && 
-              line.includes('LISTENING')
-            );
-            
-            if (portLine) {
-              const parts = portLine.trim().split(/\s+/);
-              const pid = parts[parts.length - 1];
-              
-              if (pid && pid !== '0') {
-                // Kill process by PID
-                const killProcess = spawn('taskkill', ['/F', '/PID', pid], { shell: true });
-                
-                killProcess.on('close', async (code) => {
-                  if (code === 0) {
-                    await logManager.info('External process killed', { pid, port: serverPort });
-                    processKilled = true;
-                  } else {
-                    await logManager.warn('Failed to stop external process', { pid, port: serverPort });
-                  }
-                });
-              }
-            }
-          });
-          
-        } catch (error) {
-          await logManager.warn('Error stopping external process', { error: error.message });
-        }
+      if (result.stopped) {
+        await logManager.info('External process stopped', { profileId, pid, port, method: result.method });
+      } else {
+        await logManager.warn('Failed to stop external process', { profileId, pid, port });
       }
+    } else {
+      await logManager.warn('Port still in use but its owner could not be identified', { profileId, port });
     }
-  } catch (error) {
-    // Server doesn't respond - it's probably stopped
-    processKilled = true;
   }
   
-  // 3. Wait a bit then check shutdown and update tray
-  setTimeout(async () => {
-    const finalStatus = await getServerStatus();
-    if (finalStatus.running) {
-      await logManager.warn('Server still appears to be running after stop command', { 
-        status: finalStatus.status 
-      });
-    } else {
-      await logManager.serverEvent('OxichStudio server confirmed stopped');
+  // 3. Resolve only once the ports are actually free
+  for (const port of ports) {
+    const portFree = await processManager.waitForPortFree(port, killTimeout || 5000);
+    if (!portFree) {
+      await logManager.warn('Server still appears to be running after stop command', { profileId, port });
+      await updateTrayMenu();
+      throw new Error(port === serverPort
+        ? `Port ${port} is still in use after stopping the server.`
+        : `Internal port ${port} is still in use after stopping the server.`);
     }
-    await updateTrayMenu();
-  }, 3000);
+  }
+  state.internalPort = null;
   
-  if (processKilled) {
-    await logManager.serverEvent('Server shutdown initiated for external process');
+  await logManager.serverEvent('OxichStudio server confirmed stopped', { profileId, port: serverPort });
+  await updateTrayMenu();
+  
+  if (wasRunning && profile) {
+    await runProfileHook(profileId, profile, 'postStop', serverPort);
   }
 }
 
 // === NOTIFICATION SYSTEM ===
 function showNotification(title, body, options = {}) {
+  // Headless runs report through the logs only
+  if (isHeadless) {
+    return;
+  }
+
   // Check if notifications are supported and permission is granted
   if (!Notification.isSupported()) {
     logManager?.debug('System notifications not supported');
@@ -649,90 +1384,176 @@ function showNotification(title, body, options = {}) {
   }
 }
 
+// === COMMAND LINE ===
+// Finds a profile by id or (case-insensitive) name
+function findProfile(idOrName) {
+  const profiles = configManager.getProfiles();
+  const wanted = String(idOrName).toLowerCase();
+  return profiles.find(profile => profile.id === idOrName) ||
+    profiles.find(profile => profile.name.toLowerCase() === wanted) ||
+    null;
+}
+
+// Acts on the options of a launch (this one or a second instance forwarded by the lock)
+// Resolves false when the requested action could not be carried out.
+async function handleCommandLine(args, source, defaultAction = null) {
+  let options;
+  try {
+    options = CommandLine.parse(args);
+  } catch (error) {
+    await logManager.warn('Invalid command line', { source, args, error: error.message });
+    showNotification('Invalid Command', error.message, { onClick: showControlPanel });
+    return false;
+  }
+
+  options.action = options.action || defaultAction;
+  if (!CommandLine.hasCommand(options)) {
+    return true;
+  }
+
+  await logManager.userAction('Command line received', { source, ...options });
+
+  const profile = options.profile ? findProfile(options.profile) : configManager.getProfile('default');
+  if (!profile) {
+    await logManager.warn('Command line profile not found', { source, profile: options.profile });
+    showNotification('Unknown Profile', `Server profile "${options.profile}" does not exist.`, { onClick: showControlPanel });
+    return false;
+  }
+
+  // --port and --lan apply to this run only
+  const overrides = CommandLine.getOverrides(options);
+  if (Object.keys(overrides).length > 0) {
+    configManager.setRuntimeOverrides(profile.id, overrides);
+    await logManager.info('Profile settings overridden for this run', { profileId: profile.id, ...overrides });
+  }
+
+  const notifyWindow = (payload) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('command-line', { profileId: profile.id, ...payload });
+    }
+  };
+
+  if (options.open && !options.hidden) {
+    showControlPanel();
+  }
+  notifyWindow({ action: null });
+
+  if (!options.action) {
+    return true;
+  }
+
+  try {
+    const state = getServerState(profile.id);
+    if (options.action === 'start') {
+      if (!state.process) {
+        restartManager.reset(profile.id);
+        await startNextJsServer(profile.id);
+      }
+    } else if (options.action === 'stop') {
+      await stopNextJsServer(profile.id);
+    } else {
+      await restartNextJsServer(profile.id);
+    }
+    notifyWindow({ action: options.action, success: true });
+    return true;
+  } catch (error) {
+    await logManager.error('Command line action failed', { source, profileId: profile.id, action: options.action, error: error.message });
+    showNotification(`${profile.name}: ${options.action} failed`, error.message, { onClick: showControlPanel });
+    notifyWindow({ action: options.action, success: false, error: error.message });
+    return false;
+  }
+}
+
 // === TRAY ICON ===
-// This function will now be responsible for updating the tray menu content
-async function updateTrayMenu() {
-  if (!tray) {
-    logManager?.debug('updateTrayMenu called but tray is not available.');
+function showControlPanel() {
+  if (isHeadless) {
     return;
   }
-  try {
-    const serverStatus = await getServerStatus();
-    let statusLabel = 'Server: Fetching...';
-    let isServerRunning = false;
-    
-    if (serverStatus) {
-      if (serverStatus.running) {
-        statusLabel = `Server: Online (Port ${serverStatus.port})`;
-        if (serverStatus.pid === 'external') {
-          statusLabel += ' [External]';
-        }
-        isServerRunning = true;
-      } else {
-        statusLabel = 'Server: Stopped';
-        isServerRunning = false;
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createMainWindow();
+  } else {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+}
+
+// Builds the tray submenu controlling a single server profile
+// "Start Mon 07:30" for the next scheduled action of a profile
+function formatScheduledAction(next) {
+  const date = new Date(next.at);
+  const day = date.toLocaleDateString(undefined, { weekday: 'short' });
+  const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return `${next.action === 'start' ? 'Start' : 'Stop'} ${day} ${time}${next.skipped ? ' (skipped)' : ''}`;
+}
+
+async function buildProfileTrayMenu(profile) {
+  const profileId = profile.id;
+  const serverStatus = await getServerStatus(profileId);
+  let statusLabel = 'Fetching...';
+  let isServerRunning = false;
+  
+  if (serverStatus) {
+    if (serverStatus.running) {
+      statusLabel = `Online (Port ${serverStatus.port})`;
+      if (serverStatus.pid === 'external') {
+        statusLabel += ' [External]';
       }
+      isServerRunning = true;
+    } else if (serverStatus.status === 'crash-looping') {
+      statusLabel = '⚠️ Crash-Looping';
+      isServerRunning = false;
+    } else if (serverStatus.status === 'restarting') {
+      statusLabel = 'Restarting...';
+      isServerRunning = false;
     } else {
-      statusLabel = 'Server: Status Unavailable';
+      statusLabel = 'Stopped';
+      isServerRunning = false;
     }
+  } else {
+    statusLabel = 'Status Unavailable';
+  }
 
-    const contextMenuTemplate = [
-      {
-        label: statusLabel,
-        enabled: false,
-      },
-      { type: 'separator' },
+  const nextScheduled = scheduleManager.getNext(profileId);
+  const scheduleItems = nextScheduled
+    ? [{ label: `⏰ Next: ${formatScheduledAction(nextScheduled)}`, enabled: false }, { type: 'separator' }]
+    : [];
+
+  return {
+    label: `${profile.name}: ${statusLabel}`,
+    isServerRunning,
+    submenu: [
+      ...scheduleItems,
       {
         label: 'Start Server',
         enabled: !isServerRunning,
         click: async () => {
           try {
-            logManager?.info('Starting server from tray menu...');
+            logManager?.info('Starting server from tray menu...', { profileId });
             
-            showNotification('OxichStudio', 'Starting server...', { silent: true });
+            showNotification('OxichStudio', `Starting ${profile.name}...`, { silent: true });
             
-            // Get current configuration
-            const port = configManager?.get('server.port', 8080) || 8080;
-            const enableLan = configManager?.get('server.enableLan', true);
-            
-            // Set global serverPort to match config
-            serverPort = port;
-            
-            await startNextJsServer();
-            logManager?.info('Server started successfully from tray menu');
+            restartManager.reset(profileId);
+            const result = await startNextJsServer(profileId);
+            logManager?.info('Server started successfully from tray menu', { profileId });
             
             showNotification(
               'OxichStudio Server Started', 
-              `Server is now running on port ${port}${enableLan ? ' (Network accessible)' : ' (Local only)'}`,
+              `${profile.name} is now running on port ${result.port}${result.enableLan ? ' (Network accessible)' : ' (Local only)'}`,
               {
-                onClick: () => {
-                  // Open control panel when notification is clicked
-                  if (!mainWindow || mainWindow.isDestroyed()) {
-                    createMainWindow();
-                  } else {
-                    mainWindow.show();
-                    mainWindow.focus();
-                  }
-                }
+                // Open control panel when notification is clicked
+                onClick: showControlPanel
               }
             );
           } catch (error) {
-            logManager?.error('Failed to start server from tray menu', { error: error.message });
+            logManager?.error('Failed to start server from tray menu', { profileId, error: error.message });
             console.error('Tray menu server start failed:', error);
             
             showNotification(
               'Server Start Failed', 
               error.message || 'Failed to start the server. Check logs for details.',
               {
-                onClick: () => {
-                  // Open control panel to show details
-                  if (!mainWindow || mainWindow.isDestroyed()) {
-                    createMainWindow();
-                  } else {
-                    mainWindow.show();
-                    mainWindow.focus();
-                  }
-                }
+                // Open control panel to show details
+                onClick: showControlPanel
               }
             );
           }
@@ -743,36 +1564,75 @@ async function updateTrayMenu() {
         enabled: isServerRunning,
         click: async () => {
           try {
-            logManager?.info('Stopping server from tray menu...');
+            logManager?.info('Stopping server from tray menu...', { profileId });
             
-            showNotification('OxichStudio', 'Stopping server...', { silent: true });
+            showNotification('OxichStudio', `Stopping ${profile.name}...`, { silent: true });
             
-            await stopNextJsServer();
-            logManager?.info('Server stopped successfully from tray menu');
+            await stopNextJsServer(profileId);
+            logManager?.info('Server stopped successfully from tray menu', { profileId });
             
-            showNotification('OxichStudio Server Stopped', 'Server has been stopped successfully');
+            showNotification('OxichStudio Server Stopped', `${profile.name} has been stopped successfully`);
           } catch (error) {
-            logManager?.error('Failed to stop server from tray menu', { error: error.message });
+            logManager?.error('Failed to stop server from tray menu', { profileId, error: error.message });
             console.error('Tray menu server stop failed:', error);
             
             showNotification(
               'Server Stop Failed', 
               'Failed to stop the server. It may have already stopped.',
               {
-                onClick: () => {
-                  // Open control panel to check status
-                  if (!mainWindow || mainWindow.isDestroyed()) {
-                    createMainWindow();
-                  } else {
-                    mainWindow.show();
-                    mainWindow.focus();
-                  }
-                }
+                // Open control panel to check status
+                onClick: showControlPanel
               }
             );
           }
         },
       },
+      {
+        label: 'Restart Server (Zero Downtime)',
+        enabled: isServerRunning && serverStatus.pid !== 'external',
+        click: async () => {
+          try {
+            logManager?.info('Restarting server from tray menu...', { profileId });
+            
+            showNotification('OxichStudio', `Restarting ${profile.name}...`, { silent: true });
+            
+            await restartNextJsServer(profileId);
+            logManager?.info('Server restarted successfully from tray menu', { profileId });
+            
+            showNotification('OxichStudio Server Restarted', `${profile.name} was restarted without interrupting connections`);
+          } catch (error) {
+            logManager?.error('Failed to restart server from tray menu', { profileId, error: error.message });
+            
+            showNotification(
+              'Server Restart Failed', 
+              `${error.message} The previous instance keeps serving requests.`,
+              { onClick: showControlPanel }
+            );
+          }
+        },
+      },
+    ]
+  };
+}
+
+// This function will now be responsible for updating the tray menu content
+async function updateTrayMenu() {
+  if (!tray) {
+    logManager?.debug('updateTrayMenu called but tray is not available.');
+    return;
+  }
+  try {
+    const profileMenus = [];
+    for (const profile of configManager.getProfiles()) {
+      profileMenus.push(await buildProfileTrayMenu(profile));
+    }
+
+    const contextMenuTemplate = [
+      {
+        label: 'Servers',
+        enabled: false,
+      },
+      ...profileMenus.map(({ label, submenu }) => ({ label, submenu })),
       { type: 'separator' },
       {
         label: 'Open Control Panel',
@@ -798,7 +1658,10 @@ async function updateTrayMenu() {
 
     const contextMenu = Menu.buildFromTemplate(contextMenuTemplate);
     tray.setContextMenu(contextMenu);
-    logManager?.debug('Tray menu updated.', { status: statusLabel, isRunning: isServerRunning });
+    logManager?.debug('Tray menu updated.', {
+      running: profileMenus.filter(menu => menu.isServerRunning).length,
+      profiles: profileMenus.length
+    });
   } catch (error) {
     logManager?.error('Failed to update tray menu.', { error: error.message, stack: error.stack });
     console.error('Failed to update tray menu:', error);
@@ -961,10 +1824,10 @@ async function loadInterfaceBasedOnMode() {
 
 // === LOAD NEXT.JS APPLICATION ===
 async function loadNextJsApp() {
-  const serverStatus = await getServerStatus();
+  const serverStatus = await getServerStatus('default');
   
   if (serverStatus.running) {
-    const url = `http://${serverStatus.hostname}:${serverStatus.port}`;
+    const url = networkManager.formatUrl(serverStatus.hostname, serverStatus.port);
     console.log(`🌐 Loading OxichStudio application: ${url}`);
     mainWindow.loadURL(url);
   } else {
@@ -983,12 +1846,20 @@ async function loadAutoInterface() {
 }
 
 // === HELPER FUNCTION: GET SERVER STATUS ===
-async function getServerStatus() {
+async function getServerStatus(profileId = 'default') {
+  const state = getServerState(profileId);
+  const serverPort = state.process ? state.port : (configManager.getProfile(profileId)?.port || state.port);
+
   // First check if process exists
-  const processRunning = nextJsProcess !== null && !nextJsProcess.killed;
+  const processRunning = state.process !== null && !state.process.killed;
   
+  // Port owned by another profile's tracked process - not an external server
+  const portOwnedByOtherProfile = [...servers.entries()].some(
+    ([otherId, other]) => otherId !== profileId && other.process && other.port === serverPort
+  );
+
   // If process seems stopped, check via HTTP if server responds anyway
-  if (!processRunning) {
+  if (!processRunning && !portOwnedByOtherProfile) {
     try {
       const response = await fetch(`http://127.0.0.1:${serverPort}`, { 
         method: 'HEAD',
@@ -997,6 +1868,7 @@ async function getServerStatus() {
       // If we get a response, server works even without tracked process
       if (response.ok || response.status < 500) {
         return {
+          profileId,
           running: true,
           port: serverPort,
           hostname: '127.0.0.1',
@@ -1009,12 +1881,29 @@ async function getServerStatus() {
     }
   }
 
+  let status = processRunning ? 'running' : 'stopped';
+  if (!processRunning && restartManager.isCrashLooping(profileId)) {
+    status = 'crash-looping';
+  } else if (!processRunning && restartManager.getStatus(profileId).nextRestartAt) {
+    status = 'restarting';
+  }
+
   return {
+    profileId,
     running: processRunning,
     port: serverPort,
-    hostname: '127.0.0.1',
-    pid: nextJsProcess?.pid || null,
-    status: processRunning ? 'running' : 'stopped'
+    // Loopback is not served when the proxy listens on a single interface
+    hostname: state.proxy && networkManager.isSpecificAddress(state.hostname) ? state.hostname : '127.0.0.1',
+    pid: state.process?.pid || null,
+    internalPort: state.process ? state.internalPort : null,
+    runtime: state.process && state.runtime ? {
+      type: state.runtime.type,
+      version: state.runtime.version,
+      electronVersion: state.runtime.electronVersion,
+      fallback: state.runtime.fallback,
+      description: state.runtime.description
+    } : null,
+    status
   };
 }
 
@@ -1042,56 +1931,312 @@ function setupInterfaceHandlers() {
   });
 }
 
-// === IPC HANDLERS WITH SECURE VALIDATION ===
+// Builds the profile settings changed by a config key below a profile (e.g. "hooks.preStart.command"):
+// the whole top-level setting is returned so that it is validated like a profiles:save
+function buildProfileUpdate(profile, subPath, value) {
+  const [top, ...keys] = subPath.split('.');
+  if (keys.length === 0) {
+    return { [top]: value };
+  }
+
+  const update = structuredClone(profile?.[top] ?? {});
+  let target = update;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+  return { [top]: update };
+}
+
+// Masks secret profile variables inside a configuration value (logs, REST API and control socket)
+function maskConfigSecrets(keyPath, value) {
+  const mask = (keys, current) => {
+    if (keys.length === 4 && keys[0] === 'profiles' && keys[2] === 'env') {
+      return envManager.isSecret(keys[3], current) ? envManager.maskValue(current) : current;
+    }
+    if (!current || typeof current !== 'object' || Array.isArray(current) || keys.length >= 4) {
+      return current;
+    }
+    return Object.fromEntries(Object.entries(current).map(([key, child]) => [key, mask([...keys, key], child)]));
+  };
+  return mask(String(keyPath || '').split('.').filter(Boolean), value);
+}
+
+function maskConfigUpdates(updates) {
+  return Object.fromEntries(Object.entries(updates || {}).map(([keyPath, value]) => [keyPath, maskConfigSecrets(keyPath, value)]));
+}
+
+// Writes one configuration key; profile settings get the same validation as profiles:save
+async function setConfigValue(keyPath, value) {
+  if (keyPath === 'profiles') {
+    throw new Error('Profiles must be changed one at a time (profiles.<id>...)');
+  }
+
+  const profileMatch = /^profiles\.([^.]+)(?:\.(.+))?$/.exec(keyPath);
+  if (profileMatch) {
+    const [, profileId, subPath] = profileMatch;
+    await saveProfileValues(profileId, subPath ? buildProfileUpdate(configManager.getProfile(profileId), subPath, value) : value);
+    return;
+  }
+
+  await configManager.set(keyPath, value);
+  scheduleManager.load(configManager.getProfiles());
+}
+
+// Validates and saves profile settings (control panel, REST API and control socket alike)
+// Resolves with the saved profile; throws when a setting is invalid.
+async function saveProfileValues(profileId, values) {
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    throw new Error('Profile settings must be an object');
+  }
+  if (values && values.port !== undefined) {
+    const port = parseInt(values.port);
+    if (isNaN(port) || port < 1000 || port > 65535) {
+      throw new Error('Port must be a number between 1000 and 65535');
+    }
+    values = { ...values, port };
+  }
+  if (values && values.env !== undefined) {
+    envManager.validateVariables(values.env);
+  }
+  for (const key of ['enableLan', 'autoStart']) {
+    if (values && values[key] !== undefined && typeof values[key] !== 'boolean') {
+      throw new Error(`${key} must be true or false`);
+    }
+  }
+  if (values && values.type !== undefined && !['node', 'command'].includes(values.type)) {
+    throw new Error('Server type must be "node" or "command"');
+  }
+  if (values && values.runtime !== undefined && !RuntimeManager.RUNTIMES.includes(values.runtime)) {
+    throw new Error(`Runtime must be one of: ${RuntimeManager.RUNTIMES.join(', ')}`);
+  }
+  if (values && values.nodePath !== undefined && values.nodePath !== null && typeof values.nodePath !== 'string') {
+    throw new Error('Node.js path must be a string');
+  }
+  if (values && values.args !== undefined &&
+      (!Array.isArray(values.args) || values.args.some(arg => typeof arg !== 'string'))) {
+    throw new Error('Arguments must be a list of strings');
+  }
+  if (values && values.restart !== undefined) {
+    const { policy, maxRestarts } = values.restart || {};
+    if (policy !== undefined && !RestartManager.POLICIES.includes(policy)) {
+      throw new Error(`Restart policy must be one of: ${RestartManager.POLICIES.join(', ')}`);
+    }
+    if (maxRestarts !== undefined && (!Number.isInteger(maxRestarts) || maxRestarts < 1)) {
+      throw new Error('Maximum restarts must be a positive whole number');
+    }
+  }
+  if (values && values.schedule !== undefined) {
+    ScheduleManager.validate(values.schedule);
+  }
+  if (values && values.hooks !== undefined) {
+    HookManager.validate(values.hooks);
+  }
+  if (values && values.buildWatch !== undefined) {
+    BuildWatcher.validate(values.buildWatch);
+  }
+  if (values && values.hostname !== undefined && values.hostname !== null && !net.isIP(String(values.hostname).split('%')[0])) {
+    throw new Error('The bind address must be an IP address');
+  }
+  if (values && values.security !== undefined) {
+    const { maxRequests, enforceOrigin } = values.security || {};
+    if (maxRequests !== undefined && maxRequests !== null && (!Number.isInteger(maxRequests) || maxRequests < 1)) {
+      throw new Error('Maximum requests must be a positive whole number or empty');
+    }
+    if (enforceOrigin !== undefined && typeof enforceOrigin !== 'boolean') {
+      throw new Error('Origin enforcement must be true or false');
+    }
+  }
+  if (values && values.ipv6 !== undefined && typeof values.ipv6 !== 'boolean') {
+    throw new Error('IPv6 must be true or false');
+  }
+  if (values && values.autoRollback !== undefined && typeof values.autoRollback !== 'boolean') {
+    throw new Error('Automatic rollback must be true or false');
+  }
+  if (values && values.bundle !== undefined && values.bundle !== null && !await bundleManager.get(values.bundle)) {
+    throw new Error(`Bundle version "${values.bundle}" does not exist`);
+  }
+  if (values && values.memory !== undefined) {
+    for (const key of ['maxOldSpaceSize', 'maxRss', 'sustainedPeriod']) {
+      const value = values.memory?.[key];
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`Memory setting ${key} must be a positive whole number or empty`);
+      }
+    }
+  }
+  if (values && values.probes !== undefined) {
+    for (const kind of ['readiness', 'liveness']) {
+      if (values.probes?.[kind] !== undefined) {
+        try {
+          HealthProbe.validate(values.probes[kind]);
+        } catch (error) {
+          throw new Error(`Invalid ${kind} probe: ${error.message}`);
+        }
+      }
+    }
+  }
+  const type = values?.type ?? configManager.getProfile(profileId)?.type;
+  const command = values?.command !== undefined ? values.command : configManager.getProfile(profileId)?.command;
+  if (type === 'command' && (typeof command !== 'string' || !command.trim())) {
+    throw new Error('A command is required for custom command servers');
+  }
+
+  const profile = await configManager.saveProfile(profileId, values);
+  if (values && values.nodePath !== undefined) {
+    runtimeManager.clearCache();
+  }
+  scheduleManager.update(profile);
+  updateBuildWatch(profileId, profile);
+  await logManager.userAction('⚙️ Server profile saved', { profileId });
+  await updateTrayMenu();
+  return profile;
+}
+
+// === IPC HANDLERS WITH SECURE VALIDATION ===
+// Handlers are also reachable through the local REST API (ApiServer)
+const ipcHandlers = new Map();
+
+function handleIpc(channel, handler) {
+  ipcHandlers.set(channel, handler);
+  ipcMain.handle(channel, handler);
+}
+
+// Calls an IPC handler outside of the renderer (no sender); secret variables are masked in the result
+async function invokeIpcHandler(channel, ...args) {
+  const handler = ipcHandlers.get(channel);
+  if (!handler) {
+    throw new Error(`Unknown IPC channel: ${channel}`);
+  }
+  const result = await handler({ sender: null }, ...args);
+  if (channel === 'config:get') {
+    return maskConfigSecrets(args[0], result);
+  }
+  if (channel === 'profiles:list') {
+    return result.map(profile => maskConfigSecrets(`profiles.${profile.id}`, profile));
+  }
+  return result;
+}
+
+// Starts, restarts or stops the local REST API according to the configuration
+async function applyApiConfig() {
+  const api = { ...configManager.get('api', {}) };
+
+  if (api.enabled && !api.token) {
+    api.token = securityManager.generateSecureToken();
+    await configManager.set('api.token', api.token);
+    await logManager.info('Local API token generated');
+  }
+
+  if (apiServer && (!api.enabled || apiServer.port !== api.port)) {
+    await apiServer.stop();
+    apiServer = null;
+  }
+
+  if (!api.enabled) {
+    return;
+  }
+
+  if (apiServer) {
+    apiServer.setToken(api.token);
+    return;
+  }
+
+  const server = new ApiServer(logManager, {
+    token: api.token,
+    invoke: invokeIpcHandler,
+    profileExists: (profileId) => Boolean(configManager.getProfile(profileId))
+  });
+  await server.start(api.port);
+  apiServer = server;
+}
+
+// Local API settings as shown in the control panel
+function getApiStatus() {
+  const api = configManager.get('api', {});
+  return {
+    enabled: Boolean(api.enabled),
+    port: api.port,
+    token: api.token || null,
+    running: Boolean(apiServer?.isRunning()),
+    url: `http://127.0.0.1:${api.port}/api`,
+    stats: apiServer?.getStats() || null
+  };
+}
+
 function setupIpcHandlers() {
   // === SERVER ===
-  ipcMain.handle('server:get-status', async () => {
-    const enableLan = configManager?.get('server.enableLan', true);
-    const networkInfo = networkManager?.getNetworkInfo(serverPort, enableLan);
-    
-    // Add monitoring metrics
-    const monitoringMetrics = serverMonitor?.getPerformanceMetrics() || {};
+  handleIpc('server:get-status', async (event, profileId = 'default') => {
+    const profile = configManager?.getProfile(profileId);
+    if (!profile) {
+      return { profileId, running: false, status: 'unknown-profile' };
+    }
+
+    const state = getServerState(profileId);
     
     // Get server status with HTTP verification
-    const serverStatus = await getServerStatus();
+    const serverStatus = await getServerStatus(profileId);
+    const networkInfo = networkManager?.getNetworkInfo(serverStatus.port, profile.enableLan, {
+      ipv6: profile.ipv6,
+      bindAddress: getActiveBindAddress(profileId, profile)
+    });
+    
+    // Add monitoring metrics
+    const monitoringMetrics = state.monitor.getPerformanceMetrics() || {};
     
     return {
+      profileId,
+      name: profile.name,
       running: serverStatus.running,
-      port: serverPort,
+      port: serverStatus.port,
       pid: serverStatus.pid,
+      internalPort: serverStatus.internalPort,
+      runtime: serverStatus.runtime,
       status: serverStatus.status,
       networkInfo,
       monitoring: monitoringMetrics,
-      enableLan: enableLan
+      restart: restartManager.getStatus(profileId),
+      proxy: state.proxy?.getStats() || null,
+      build: buildWatcher.getBuild(profileId),
+      enableLan: profile.enableLan
     };
   });
 
-  ipcMain.handle('server:start', async (event, config = null) => {
+  handleIpc('server:start', async (event, profileId = 'default', config = null) => {
     let responsePayload = {};
     try {
-      await logManager.userAction('🚀 User requested server start', { config });
+      await logManager.userAction('🚀 User requested server start', { profileId, config });
+      getProfileOrThrow(profileId);
       
       if (config && config.port) {
         const port = parseInt(config.port);
         if (isNaN(port) || port < 1000 || port > 65535) {
           throw new Error('Invalid port number. Please use a port between 1000 and 65535.');
         }
-        serverPort = port;
-        await configManager.set('server.port', serverPort);
+        await configManager.set(`profiles.${profileId}.port`, port);
+        configManager.clearRuntimeOverrides(profileId, ['port']);
       }
       
       if (config && config.enableLan !== undefined) {
-        await configManager.set('server.enableLan', config.enableLan);
+        await configManager.set(`profiles.${profileId}.enableLan`, config.enableLan);
+        configManager.clearRuntimeOverrides(profileId, ['enableLan']);
       }
       
+      // A manual start clears restart history and any crash-looping state
+      restartManager.reset(profileId);
+      
       // Rely on startNextJsServer to call updateTrayMenu internally on its success/failure paths.
-      const result = await startNextJsServer(); 
+      const result = await startNextJsServer(profileId); 
       await logManager.userAction('✅ Server started successfully by user', { 
-        port: serverPort,
+        profileId,
+        port: result.port,
         pid: result.pid 
       });
       responsePayload = { 
         success: true,
+        profileId,
         port: result.port,
         pid: result.pid,
         hostname: result.hostname,
@@ -1099,6 +2244,7 @@ function setupIpcHandlers() {
       };
     } catch (error) {
       await logManager.userAction('❌ Server start failed', { 
+        profileId,
         error: error.message,
         config 
       });
@@ -1109,66 +2255,397 @@ function setupIpcHandlers() {
         success: false, 
         error: error.message,
         code: error.code,
-        suggestions: error.suggestions 
+        suggestions: error.suggestions,
+        integrity: error.integrity
       };
     }
     // Removed 'finally' block that called updateTrayMenu
     return responsePayload;
   });
 
-  ipcMain.handle('server:stop', async () => {
+  handleIpc('server:stop', async (event, profileId = 'default') => {
     let responsePayload = {};
     try {
-      await logManager.userAction('🛑 User requested server stop');
-      // Rely on stopNextJsServer to call updateTrayMenu internally (e.g., in its timeout).
-      await stopNextJsServer(); 
-      await logManager.userAction('✅ Server stopped successfully by user');
+      await logManager.userAction('🛑 User requested server stop', { profileId });
+      getProfileOrThrow(profileId);
+      // Resolves once the port is free; stopNextJsServer updates the tray itself.
+      await stopNextJsServer(profileId); 
+      await logManager.userAction('✅ Server stopped successfully by user', { profileId });
       responsePayload = { success: true };
     } catch (error) {
-      await logManager.userAction('❌ Server stop failed', { error: error.message });
-      // If stopNextJsServer failed directly (e.g., not an async error within its timeout),
-      // update the tray here.
+      await logManager.userAction('❌ Server stop failed', { profileId, error: error.message });
       await updateTrayMenu();
       responsePayload = { 
         success: false, 
-        error: 'Failed to stop the server. It may have already stopped or encountered an error.'
+        error: error.message || 'Failed to stop the server. It may have already stopped or encountered an error.'
       };
     }
     // Removed 'finally' block that called updateTrayMenu
     return responsePayload;
   });
 
-  // === CONFIGURATION WITH VALIDATION ===
-  ipcMain.handle('config:get', (event, keyPath, defaultValue) => {
+  handleIpc('server:restart', async (event, profileId = 'default') => {
     try {
-      return configManager?.get(keyPath, defaultValue) || defaultValue;
+      await logManager.userAction('🔄 User requested zero-downtime restart', { profileId });
+      getProfileOrThrow(profileId);
+      restartManager.reset(profileId);
+      
+      const result = await restartNextJsServer(profileId);
+      await logManager.userAction('✅ Server restarted successfully by user', { profileId, pid: result.pid });
+      return result;
     } catch (error) {
-      logManager?.warn('Configuration read error', { keyPath, error: error.message });
-      return defaultValue;
+      await logManager.userAction('❌ Server restart failed', { profileId, error: error.message });
+      await updateTrayMenu();
+      return { success: false, profileId, error: error.message };
+    }
+  });
+
+  // === SERVER CONSOLE ===
+  handleIpc('server:get-output', (event, profileId = 'default', options = {}) => {
+    try {
+      return {
+        success: true,
+        lines: consoleManager.getLines(profileId, options || {}),
+        logFile: consoleManager.getLogFile(profileId)
+      };
+    } catch (error) {
+      return { success: false, error: error.message, lines: [] };
+    }
+  });
+
+  handleIpc('server:clear-output', async (event, profileId = 'default') => {
+    consoleManager.clear(profileId);
+    await logManager.userAction('🗑️ User cleared server console', { profileId });
+    return { success: true };
+  });
+
+  handleIpc('server:open-output-file', async (event, profileId = 'default') => {
+    const error = await shell.openPath(consoleManager.getLogFile(profileId));
+    return error ? { success: false, error } : { success: true };
+  });
+
+  // === SERVER PROFILES ===
+  handleIpc('profiles:list', () => {
+    return configManager?.getProfiles().map(profile => ({
+      ...profile,
+      running: Boolean(servers.get(profile.id)?.process)
+    })) || [];
+  });
+
+  handleIpc('profiles:save', async (event, profileId, values) => {
+    try {
+      const profile = await saveProfileValues(profileId, values);
+      return { success: true, profile };
+    } catch (error) {
+      await logManager.warn('Server profile save failed', { profileId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Effective environment of a profile, optionally with unsaved variables from the editor
+  handleIpc('profiles:get-env', (event, profileId, envOverride = null) => {
+    try {
+      const profile = getProfileOrThrow(profileId);
+      if (envOverride) {
+        envManager.validateVariables(envOverride);
+      }
+
+      const launch = resolveLaunchSpec(profile);
+      const state = servers.get(profileId);
+      // The child's loopback port is only chosen when it starts
+      const port = state?.process ? state.internalPort : '(assigned at start)';
+      const description = envManager.describeEnvironment(
+        envOverride ? { ...profile, env: envOverride } : profile,
+        launch.cwd,
+        getManagedEnv(port)
+      );
+
+      return { success: true, ...description };
+    } catch (error) {
+      return { success: false, error: error.message, variables: [], files: [] };
+    }
+  });
+
+  handleIpc('profiles:remove', async (event, profileId) => {
+    try {
+      if (servers.get(profileId)?.process) {
+        throw new Error('Stop the server before removing its profile');
+      }
+
+      const removed = await configManager.removeProfile(profileId);
+      scheduleManager.remove(profileId);
+      await bundleManager.removeHistory(profileId);
+      servers.get(profileId)?.monitor.stopMonitoring();
+      servers.delete(profileId);
+      await logManager.userAction('🗑️ Server profile removed', { profileId });
+      await updateTrayMenu();
+      return { success: removed, error: removed ? undefined : 'Profile not found' };
+    } catch (error) {
+      await logManager.warn('Server profile removal failed', { profileId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // === SCHEDULES ===
+  handleIpc('schedule:get-next', (event, profileId = 'default') => {
+    return scheduleManager.getNext(profileId);
+  });
+
+  handleIpc('schedule:skip-next', async (event, profileId = 'default') => {
+    try {
+      const next = scheduleManager.skipNext(profileId);
+      await logManager.userAction('⏭️ User skipped next scheduled action', { profileId, action: next.action, at: next.at });
+      await updateTrayMenu();
+      return { success: true, next };
+    } catch (error) {
+      return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('config:set', async (event, keyPath, value) => {
+  handleIpc('schedule:cancel-skip', async (event, profileId = 'default') => {
+    const next = scheduleManager.cancelSkip(profileId);
+    await logManager.userAction('↩️ User restored next scheduled action', { profileId });
+    await updateTrayMenu();
+    return { success: true, next };
+  });
+
+  // === LOCAL API ===
+  handleIpc('api:get-status', () => {
+    return getApiStatus();
+  });
+
+  handleIpc('api:configure', async (event, values = {}) => {
     try {
-      // Validate common configuration keys
-      if (keyPath === 'server.port') {
-        const port = parseInt(value);
+      if (values.port !== undefined) {
+        const port = parseInt(values.port);
         if (isNaN(port) || port < 1000 || port > 65535) {
-          throw new Error('Port must be a number between 1000 and 65535');
+          throw new Error('Invalid port number. Please use a port between 1000 and 65535.');
         }
-      } else if (keyPath === 'server.enableLan') {
-        if (typeof value !== 'boolean') {
-          throw new Error('Network access setting must be true or false');
+        if (configManager.getProfiles().some(profile => profile.port === port)) {
+          throw new Error(`Port ${port} is used by a server profile.`);
         }
+        await configManager.set('api.port', port);
       }
-      
-      await configManager.set(keyPath, value);
-      await logManager.userAction('⚙️ Configuration updated', { keyPath, value });
+      if (values.enabled !== undefined) {
+        await configManager.set('api.enabled', Boolean(values.enabled));
+      }
+
+      await applyApiConfig();
+      await logManager.userAction('🔌 Local API settings updated', { enabled: values.enabled, port: values.port });
+      return { success: true, ...getApiStatus() };
+    } catch (error) {
+      await logManager.warn('Local API configuration failed', { error: error.message });
+      // A port already in use leaves the API stopped but enabled in the configuration
+      return { success: false, error: error.message, ...getApiStatus() };
+    }
+  });
+
+  handleIpc('api:regenerate-token', async () => {
+    try {
+      await configManager.set('api.token', securityManager.generateSecureToken());
+      await applyApiConfig();
+      await logManager.userAction('🔑 Local API token regenerated');
+      return { success: true, ...getApiStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // === APPLICATION BUNDLES ===
+  handleIpc('bundles:list', async () => {
+    try {
+      const bundles = await bundleManager.list();
+      const profiles = configManager.getProfiles();
+      return {
+        success: true,
+        bundles: bundles.map(bundle => ({
+          ...bundle,
+          profiles: profiles.filter(profile => profile.bundle === bundle.id).map(profile => profile.id)
+        }))
+      };
+    } catch (error) {
+      return { success: false, error: error.message, bundles: [] };
+    }
+  });
+
+  // Without a path, the archive is chosen in a file dialog
+  handleIpc('bundles:import', async (event, archivePath = null) => {
+    try {
+      if (!archivePath) {
+        if (isHeadless) {
+          throw new Error('An archive path is required in headless mode');
+        }
+        const selection = await dialog.showOpenDialog(mainWindow, {
+          title: 'Import application bundle',
+          filters: [{ name: 'Standalone build archives', extensions: ['zip', 'gz', 'tgz'] }],
+          properties: ['openFile']
+        });
+        if (selection.canceled || selection.filePaths.length === 0) {
+          return { success: false, canceled: true };
+        }
+        archivePath = selection.filePaths[0];
+      }
+
+      const bundle = await bundleManager.import(archivePath);
+      await logManager.userAction('📦 Application bundle imported', { versionId: bundle.id, archive: bundle.archive });
+      return { success: true, bundle };
+    } catch (error) {
+      await logManager.warn('Application bundle import failed', { archivePath, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Points a profile at an imported version (null = bundled server); a running server keeps the old one until restarted
+  handleIpc('bundles:use', async (event, profileId, versionId) => {
+    try {
+      getProfileOrThrow(profileId);
+      if (versionId !== null && !await bundleManager.get(versionId)) {
+        throw new Error(`Bundle version "${versionId}" does not exist`);
+      }
+
+      const profile = await activateBundle(profileId, versionId);
+      await logManager.userAction('📦 Application bundle selected', { profileId, versionId });
+      return { success: true, profile, restartRequired: Boolean(servers.get(profileId)?.process) };
+    } catch (error) {
+      await logManager.warn('Application bundle selection failed', { profileId, versionId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  handleIpc('bundles:get-history', async (event, profileId) => {
+    try {
+      const profile = getProfileOrThrow(profileId);
+      return { success: true, current: profile.bundle, history: await bundleManager.getHistory(profileId) };
+    } catch (error) {
+      return { success: false, error: error.message, history: [] };
+    }
+  });
+
+  // Without a version, rolls back to the newest earlier version that did not fail
+  handleIpc('bundles:rollback', async (event, profileId, versionId = undefined) => {
+    try {
+      await logManager.userAction('⏪ User requested bundle rollback', { profileId, versionId });
+      restartManager.reset(profileId);
+      const result = await rollbackBundle(profileId, versionId);
+      await logManager.userAction('✅ Bundle rolled back', { profileId, ...result.rollback });
+      return result;
+    } catch (error) {
+      await logManager.userAction('❌ Bundle rollback failed', { profileId, error: error.message });
+      await updateTrayMenu();
+      return { success: false, profileId, error: error.message };
+    }
+  });
+
+  // Checks the files of a profile's server on demand (same check as before each start)
+  handleIpc('integrity:verify', async (event, profileId) => {
+    try {
+      const profile = getProfileOrThrow(profileId);
+      if (profile.type === 'command') {
+        throw new Error('Custom command servers have no application files to verify');
+      }
+      const report = await verifyServerFiles(profileId, profile);
+      return { success: true, report, summary: report ? IntegrityManager.describe(report) : null };
+    } catch (error) {
+      return { success: false, error: error.message, report: error.integrity || null };
+    }
+  });
+
+  handleIpc('bundles:remove', async (event, versionId) => {
+    try {
+      const users = configManager.getProfiles().filter(profile => profile.bundle === versionId);
+      if (users.length > 0) {
+        throw new Error(`Bundle version "${versionId}" is used by ${users.map(profile => profile.name).join(', ')}`);
+      }
+      // A server switched to another version keeps running this one until it restarts
+      const running = [...servers.entries()].filter(([, state]) => state.process && state.bundle === versionId);
+      if (running.length > 0) {
+        const names = running.map(([profileId]) => configManager.getProfile(profileId)?.name || profileId);
+        throw new Error(`Bundle version "${versionId}" is still running in ${names.join(', ')}. Restart or stop the server first.`);
+      }
+
+      await bundleManager.remove(versionId);
+      await logManager.userAction('🗑️ Application bundle removed', { versionId });
+      return { success: true };
+    } catch (error) {
+      await logManager.warn('Application bundle removal failed', { versionId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // === LOGIN AUTOSTART (LINUX) ===
+  handleIpc('autostart:get-status', async () => {
+    const status = await autostartManager.getStatus();
+    if (status.supported) {
+      // Files may have been added or removed outside OxichStudio
+      const actual = {
+        'autostart.desktopEntry': status.desktopEntry.installed,
+        'autostart.hidden': status.desktopEntry.installed ? status.desktopEntry.hidden : configManager.get('autostart.hidden', true),
+        'autostart.systemdUnit': status.systemdUnit.installed,
+        'autostart.systemdProfile': status.systemdUnit.profileId
+      };
+      const changed = Object.entries(actual).filter(([keyPath, value]) => configManager.get(keyPath) !== value);
+      if (changed.length > 0) {
+        await configManager.updateMultiple(Object.fromEntries(changed));
+      }
+    }
+    return status;
+  });
+
+  handleIpc('autostart:set-desktop-entry', async (event, { enabled, hidden = true } = {}) => {
+    try {
+      if (enabled) {
+        await autostartManager.enableDesktopEntry({ hidden: Boolean(hidden) });
+      } else {
+        await autostartManager.disableDesktopEntry();
+      }
+      await configManager.updateMultiple({ 'autostart.desktopEntry': Boolean(enabled), 'autostart.hidden': Boolean(hidden) });
+      await logManager.userAction('🔐 Login autostart updated', { enabled, hidden });
+      return { success: true, status: await autostartManager.getStatus() };
+    } catch (error) {
+      await logManager.warn('Login autostart update failed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  handleIpc('autostart:set-systemd-unit', async (event, { enabled, profileId = null } = {}) => {
+    try {
+      let result = { enabled: false, warning: null };
+      if (enabled) {
+        if (profileId) {
+          getProfileOrThrow(profileId);
+        }
+        result = await autostartManager.installSystemdUnit({ profileId });
+      } else {
+        await autostartManager.removeSystemdUnit();
+      }
+      await configManager.updateMultiple({ 'autostart.systemdUnit': Boolean(enabled), 'autostart.systemdProfile': enabled ? profileId : null });
+      await logManager.userAction('🧩 systemd user unit updated', { enabled, profileId });
+      return { success: true, warning: result.warning, status: await autostartManager.getStatus() };
+    } catch (error) {
+      await logManager.warn('systemd user unit update failed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  });
+
+  // === CONFIGURATION WITH VALIDATION ===
+  handleIpc('config:get', (event, keyPath, defaultValue) => {
+    try {
+      return configManager?.get(keyPath, defaultValue) || defaultValue;
+    } catch (error) {
+      logManager?.warn('Configuration read error', { keyPath, error: error.message });
+      return defaultValue;
+    }
+  });
+
+  handleIpc('config:set', async (event, keyPath, value) => {
+    try {
+      await setConfigValue(keyPath, value);
+      await logManager.userAction('⚙️ Configuration updated', { keyPath, value: maskConfigSecrets(keyPath, value) });
       return { success: true };
     } catch (error) {
       await logManager.warn('Configuration update failed', { 
         keyPath, 
-        value, 
+        value: maskConfigSecrets(keyPath, value), 
         error: error.message 
       });
       return { 
@@ -1181,24 +2658,24 @@ function setupIpcHandlers() {
   // === NEW HANDLERS SPRINT 3 ===
   
   // Server monitoring
-  ipcMain.handle('monitoring:get-metrics', () => {
-    return serverMonitor?.getPerformanceMetrics() || null;
+  handleIpc('monitoring:get-metrics', (event, profileId = 'default') => {
+    return servers.get(profileId)?.monitor.getPerformanceMetrics() || null;
   });
 
-  ipcMain.handle('monitoring:get-detailed-status', () => {
-    return serverMonitor?.getDetailedStatus() || null;
+  handleIpc('monitoring:get-detailed-status', (event, profileId = 'default') => {
+    return servers.get(profileId)?.monitor.getDetailedStatus() || null;
   });
 
   // Error handling
-  ipcMain.handle('errors:get-history', (event, limit) => {
+  handleIpc('errors:get-history', (event, limit) => {
     return errorHandler?.getErrorHistory(limit) || [];
   });
 
-  ipcMain.handle('errors:get-statistics', () => {
+  handleIpc('errors:get-statistics', () => {
     return errorHandler?.getErrorStatistics() || {};
   });
 
-  ipcMain.handle('errors:clear-history', async () => {
+  handleIpc('errors:clear-history', async () => {
     try {
       errorHandler?.clearErrorHistory();
       return { success: true };
@@ -1208,29 +2685,36 @@ function setupIpcHandlers() {
   });
 
   // Security
-  ipcMain.handle('security:get-stats', () => {
+  handleIpc('security:get-stats', () => {
     return securityManager?.getSecurityStats() || {};
   });
 
-  ipcMain.handle('security:validate-input', (event, input, type, options) => {
+  handleIpc('security:validate-input', (event, input, type, options) => {
     return securityManager?.validateInput(input, type, options) || { valid: false, error: 'SecurityManager not available' };
   });
 
   // === EXISTING HANDLERS (unchanged) ===
-  ipcMain.handle('config:update-multiple', async (event, updates) => {
+  handleIpc('config:update-multiple', async (event, updates) => {
     try {
-      await configManager.updateMultiple(updates);
-      await logManager.userAction('Configuration updated', updates);
+      const entries = Object.entries(updates || {});
+      const profileEntries = entries.filter(([keyPath]) => keyPath.split('.')[0] === 'profiles');
+      await configManager.updateMultiple(Object.fromEntries(entries.filter(entry => !profileEntries.includes(entry))));
+      for (const [keyPath, value] of profileEntries) {
+        await setConfigValue(keyPath, value);
+      }
+      scheduleManager.load(configManager.getProfiles());
+      await logManager.userAction('Configuration updated', maskConfigUpdates(updates));
       return { success: true };
     } catch (error) {
-      await errorHandler.handleError(error, { context: 'config-update-multiple', updates });
+      await errorHandler.handleError(error, { context: 'config-update-multiple', updates: maskConfigUpdates(updates) });
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('config:reset', async () => {
+  handleIpc('config:reset', async () => {
     try {
       await configManager.resetToDefault();
+      scheduleManager.load(configManager.getProfiles());
       await logManager.userAction('Configuration reset');
       return { success: true };
     } catch (error) {
@@ -1239,13 +2723,14 @@ function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('config:export', () => {
+  handleIpc('config:export', () => {
     return configManager?.exportConfig() || null;
   });
 
-  ipcMain.handle('config:import', async (event, configString) => {
+  handleIpc('config:import', async (event, configString) => {
     try {
       await configManager.importConfig(configString);
+      scheduleManager.load(configManager.getProfiles());
       await logManager.userAction('Configuration imported');
       return { success: true };
     } catch (error) {
@@ -1255,31 +2740,35 @@ function setupIpcHandlers() {
   });
 
   // === NETWORK ===
-  ipcMain.handle('network:get-info', (event, port, enableLan) => {
-    return networkManager?.getNetworkInfo(port || serverPort, enableLan) || null;
+  handleIpc('network:get-info', (event, port, enableLan, ipv6 = false, bindAddress = null) => {
+    return networkManager?.getNetworkInfo(port || configManager?.getProfile('default')?.port || 8080, enableLan, { ipv6, bindAddress }) || null;
+  });
+
+  handleIpc('network:get-interfaces', () => {
+    return { interfaces: networkManager?.getAllLocalIPs() || [] };
   });
 
-  ipcMain.handle('network:get-debug-info', () => {
+  handleIpc('network:get-debug-info', () => {
     return networkManager?.getNetworkDebugInfo() || null;
   });
 
-  ipcMain.handle('network:check-port', async (event, port) => {
+  handleIpc('network:check-port', async (event, port) => {
     const isAvailable = await networkManager.isPortAvailable(port);
     return { available: isAvailable };
   });
 
-  ipcMain.handle('network:suggest-ports', async (event, currentPort, count) => {
+  handleIpc('network:suggest-ports', async (event, currentPort, count) => {
     const suggestions = await networkManager.suggestAlternativePorts(currentPort, count);
     return { suggestions };
   });
 
-  ipcMain.handle('network:find-preferred-port', async (event, configuredPort) => {
+  handleIpc('network:find-preferred-port', async (event, configuredPort) => {
     const port = await networkManager.findPreferredPort(configuredPort);
     return { port };
   });
 
   // === LOGS ===
-  ipcMain.handle('logs:get-recent', async (event, count = 50) => {
+  handleIpc('logs:get-recent', async (event, count = 50) => {
     try {
       const logs = await logManager?.getRecentLogs(count) || [];
       return { success: true, logs };
@@ -1292,12 +2781,12 @@ function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('logs:export', async () => {
+  handleIpc('logs:export', async () => {
     const exported = await logManager.exportLogs();
     return { logs: exported };
   });
 
-  ipcMain.handle('logs:clear', async () => {
+  handleIpc('logs:clear', async () => {
     try {
       await logManager?.clearLogs();
       await logManager.userAction('🗑️ User cleared application logs');
@@ -1311,7 +2800,7 @@ function setupIpcHandlers() {
   });
 
   // === SYSTEM ===
-  ipcMain.handle('system:get-versions', () => {
+  handleIpc('system:get-versions', () => {
     return {
       electron: process.versions.electron,
       node: process.versions.node,
@@ -1321,7 +2810,7 @@ function setupIpcHandlers() {
   });
 
   // === SHELL WITH SECURE VALIDATION ===
-  ipcMain.handle('shell:open-external', async (event, url) => {
+  handleIpc('shell:open-external', async (event, url) => {
     try {
       // Secure URL validation
       const isValid = securityManager?.validateURL(url);
@@ -1338,7 +2827,7 @@ function setupIpcHandlers() {
   });
 
   // === SYSTEM UTILITIES ===
-  ipcMain.handle('utils:open-external', async (event, url) => {
+  handleIpc('utils:open-external', async (event, url) => {
     try {
       if (!url || typeof url !== 'string') {
         throw new Error('Invalid URL provided');
@@ -1364,10 +2853,14 @@ function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('utils:get-network-info', () => {
+  handleIpc('utils:get-network-info', (event, profileId = 'default') => {
     try {
-      const enableLan = configManager?.get('server.enableLan', true);
-      const networkInfo = networkManager?.getNetworkInfo(serverPort, enableLan);
+      const profile = getProfileOrThrow(profileId);
+      const port = servers.get(profileId)?.process ? servers.get(profileId).port : profile.port;
+      const networkInfo = networkManager?.getNetworkInfo(port, profile.enableLan, {
+        ipv6: profile.ipv6,
+        bindAddress: getActiveBindAddress(profileId, profile)
+      });
       return { success: true, networkInfo };
     } catch (error) {
       logManager?.warn('Network info error', { error: error.message });
@@ -1380,14 +2873,12 @@ function setupIpcHandlers() {
   });
 
   // === APPLICATION CONTROL ===
-  ipcMain.handle('app:restart', async () => {
+  handleIpc('app:restart', async () => {
     try {
       await logManager.userAction('🔄 User requested application restart');
       
-      // Stop server first
-      if (nextJsProcess) {
-        await stopNextJsServer();
-      }
+      // Stop servers first
+      await stopAllServers();
       
       // Restart application
       app.relaunch();
@@ -1403,7 +2894,7 @@ function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('app:get-version', () => {
+  handleIpc('app:get-version', () => {
     try {
       return {
         success: true,
@@ -1421,8 +2912,92 @@ function setupIpcHandlers() {
   });
 }
 
+// === AUTO START ===
+async function autoStartServer(profile) {
+  // Already started from the command line
+  const state = getServerState(profile.id);
+  if (state.process || state.starting) {
+    return;
+  }
+
+  try {
+    console.log(`⏳ Attempting automatic startup of "${profile.id}"...`);
+    const result = await startNextJsServer(profile.id);
+    console.log('✅ Server started successfully - Interface maintained');
+    
+    // Notify interface of success
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('autostart-success', {
+        profileId: profile.id,
+        port: result.port,
+        message: 'Server started automatically'
+      });
+    }
+    
+    // Show auto-start notification
+    showNotification(
+      'OxichStudio Auto-Started', 
+      `${profile.name} automatically started on port ${result.port}`,
+      { silent: true }
+    );
+    
+  } catch (error) {
+    console.log('❌ Auto-start failed:', error.message);
+    
+    // Notify interface of failure
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('autostart-failed', {
+        profileId: profile.id,
+        error: error.message,
+        suggestions: error.suggestions || []
+      });
+    }
+    
+    // Show auto-start failure notification
+    showNotification(
+      'Auto-Start Failed', 
+      error.message || 'Failed to start server automatically',
+      { onClick: showControlPanel }
+    );
+    
+    await logManager.warn('Auto-start failed at startup', { 
+      profileId: profile.id,
+      error: error.message,
+      autoStart: true 
+    });
+  }
+}
+
+// === SINGLE INSTANCE ===
+// A second launch forwards its arguments to the running instance and quits
+const hasInstanceLock = app.requestSingleInstanceLock({ argv: CommandLine.userArgs(process.argv) });
+let appInitialized = false;
+const pendingCommandLines = [];
+
+if (!hasInstanceLock) {
+  console.log('🔒 OxichStudio is already running - Arguments forwarded to the running instance');
+  app.quit();
+} else {
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    // Chromium may reorder argv, the forwarded copy is exact
+    const args = Array.isArray(additionalData?.argv) ? additionalData.argv : CommandLine.userArgs(argv);
+    console.log(`🔒 Second launch detected: ${args.join(' ') || '(no arguments)'}`);
+
+    if (!appInitialized) {
+      pendingCommandLines.push(args);
+      return;
+    }
+    showControlPanel();
+    handleCommandLine(args, 'second-instance');
+  });
+}
+
 // === APP EVENTS WITH IMPROVED ERROR HANDLING ===
 app.whenReady().then(async () => {
+  if (!hasInstanceLock) {
+    return;
+  }
+
   try {
     // Initialize managers first
     await initializeManagers();
@@ -1433,69 +3008,44 @@ app.whenReady().then(async () => {
     // Setup interface specific handlers
     setupInterfaceHandlers(); // Ensures this is called correctly
 
-    // Create the tray icon
-    await createTray(); // Await the async createTray
+    // Control socket for the oxichstudio-ctl command-line client
+    try {
+      controlSocket = new ControlSocket(logManager, {
+        socketPath: ControlSocket.getSocketPath(app.getPath('userData')),
+        invoke: invokeIpcHandler
+      });
+      await controlSocket.start();
+    } catch (error) {
+      controlSocket = null;
+      await logManager.error('Control socket could not be started', { error: error.message });
+    }
+
+    // Local REST API (opt-in)
+    try {
+      await applyApiConfig();
+    } catch (error) {
+      await logManager.error('Local API could not be started', { port: configManager.get('api.port'), error: error.message });
+    }
+
+    // Create the tray icon (not in headless mode)
+    if (!isHeadless) {
+      await createTray(); // Await the async createTray
+    }
 
-    // Determine autostart based on config
-    const autoStart = configManager.get('server.autoStart', false);
-    console.log(`🔧 AutoStart configuration: ${autoStart}`);
+    // Arm start/stop schedules
+    scheduleManager.load(configManager.getProfiles());
+    
+    // Determine autostart based on each profile's config
+    const autoStartProfiles = configManager.getProfiles().filter(profile => profile.autoStart);
+    console.log(`🔧 AutoStart profiles: ${autoStartProfiles.map(profile => profile.id).join(', ') || 'none'}`);
     
-    if (autoStart) {
-      console.log('🚀 Auto-start enabled - Starting server in background');
+    if (autoStartProfiles.length > 0) {
+      console.log('🚀 Auto-start enabled - Starting servers in background');
       
       // Wait for interface to load then start
       setTimeout(async () => {
-        try {
-          console.log('⏳ Attempting automatic startup...');
-          await startNextJsServer();
-          console.log('✅ Server started successfully - Interface maintained');
-          
-          // Notify interface of success
-          if (mainWindow && mainWindow.webContents) {
-            mainWindow.webContents.send('autostart-success', {
-              port: serverPort,
-              message: 'Server started automatically'
-            });
-          }
-          
-          // Show auto-start notification
-          showNotification(
-            'OxichStudio Auto-Started', 
-            `Server automatically started on port ${serverPort}`,
-            { silent: true }
-          );
-          
-        } catch (error) {
-          console.log('❌ Auto-start failed:', error.message);
-          
-          // Notify interface of failure
-          if (mainWindow && mainWindow.webContents) {
-            mainWindow.webContents.send('autostart-failed', {
-              error: error.message,
-              suggestions: error.suggestions || []
-            });
-          }
-          
-          // Show auto-start failure notification
-          showNotification(
-            'Auto-Start Failed', 
-            error.message || 'Failed to start server automatically',
-            {
-              onClick: () => {
-                if (!mainWindow || mainWindow.isDestroyed()) {
-                  createMainWindow();
-                } else {
-                  mainWindow.show();
-                  mainWindow.focus();
-                }
-              }
-            }
-          );
-          
-          await logManager.warn('Auto-start failed at startup', { 
-            error: error.message,
-            autoStart: true 
-          });
+        for (const profile of autoStartProfiles) {
+          await autoStartServer(profile);
         }
       }, 2000); // Increase delay to ensure interface is ready
       
@@ -1503,8 +3053,26 @@ app.whenReady().then(async () => {
       console.log('⏸️ Auto-start disabled - Server awaiting commands');
     }
     
+    // Options of this launch, then those of launches made during initialization
+    appInitialized = true;
+    const launched = await handleCommandLine(CommandLine.userArgs(process.argv), 'launch', isHeadless ? 'start' : null);
+    if (isHeadless && !launched) {
+      // Let the service manager see the failure
+      exitCode = 1;
+      app.quit();
+      return;
+    }
+    for (const args of pendingCommandLines.splice(0)) {
+      showControlPanel();
+      await handleCommandLine(args, 'second-instance');
+    }
+    
   } catch (error) {
     console.error('❌ OxichStudio app initialization error:', error);
+    if (isHeadless) {
+      exitCode = 1;
+      app.quit();
+    }
     if (mainWindow) {
       mainWindow.loadFile(path.join(__dirname, 'error.html'));
     }
@@ -1512,7 +3080,7 @@ app.whenReady().then(async () => {
 });
 
 app.on('window-all-closed', async () => {
-  await stopNextJsServer();
+  await stopAllServers();
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -1520,11 +3088,19 @@ app.on('window-all-closed', async () => {
 
 app.on('before-quit', async (event) => {
   event.preventDefault(); 
+  // Already shutting down (e.g. a second SIGTERM)
+  if (app.quitting) {
+    return;
+  }
   app.quitting = true; 
 
   console.log('🚪 OxichStudio is preparing to shut down...');
   await logManager?.info('OxichStudio application closed by user');
   
+  // No scheduled start or build reload while shutting down
+  scheduleManager?.stopAll();
+  buildWatcher?.unwatchAll();
+  
   // Stop the tray update interval
   if (trayUpdateInterval) {
     clearInterval(trayUpdateInterval);
@@ -1532,12 +3108,14 @@ app.on('before-quit', async (event) => {
     logManager?.info('Tray update interval stopped.');
   }
   
-  // Attempt to stop the server
-  if (nextJsProcess || (await getServerStatus()).running) {
-    await logManager?.info('Stopping Next.js server before quitting...');
-    await stopNextJsServer();
-    await new Promise(resolve => setTimeout(resolve, 3500)); 
+  // Attempt to stop the servers
+  if ([...servers.values()].some(state => state.process || state.proxy)) {
+    await logManager?.info('Stopping servers before quitting...');
+    await stopAllServers();
   }
+  consoleManager?.closeAll();
+  await apiServer?.stop();
+  await controlSocket?.stop();
   
   if (tray) {
     tray.destroy();
@@ -1545,11 +3123,20 @@ app.on('before-quit', async (event) => {
     logManager?.info('Tray icon destroyed.');
   }
   
-  app.exit(); 
+  app.exit(exitCode); 
 });
 
+// Service managers and Ctrl+C stop the servers before exiting
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`🛑 ${signal} received - Stopping servers`);
+    logManager?.info('Shutdown signal received', { signal });
+    app.quit();
+  });
+}
+
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
+  if (!isHeadless && BrowserWindow.getAllWindows().length === 0) {
     createMainWindow();
   }
 });
@@ -4,9 +4,21 @@ const { contextBridge, ipcRenderer } = require('electron');
 const electronAPI = {
   // === SERVER ===
   server: {
-    getStatus: () => ipcRenderer.invoke('server:get-status'),
-    start: (config) => ipcRenderer.invoke('server:start', config),
-    stop: () => ipcRenderer.invoke('server:stop')
+    getStatus: (profileId) => ipcRenderer.invoke('server:get-status', profileId),
+    start: (profileId, config) => ipcRenderer.invoke('server:start', profileId, config),
+    stop: (profileId) => ipcRenderer.invoke('server:stop', profileId),
+    restart: (profileId) => ipcRenderer.invoke('server:restart', profileId),
+    getOutput: (profileId, options) => ipcRenderer.invoke('server:get-output', profileId, options),
+    clearOutput: (profileId) => ipcRenderer.invoke('server:clear-output', profileId),
+    openOutputFile: (profileId) => ipcRenderer.invoke('server:open-output-file', profileId)
+  },
+
+  // === SERVER PROFILES ===
+  profiles: {
+    list: () => ipcRenderer.invoke('profiles:list'),
+    save: (profileId, values) => ipcRenderer.invoke('profiles:save', profileId, values),
+    remove: (profileId) => ipcRenderer.invoke('profiles:remove', profileId),
+    getEnv: (profileId, envOverride) => ipcRenderer.invoke('profiles:get-env', profileId, envOverride)
   },
 
   // === CONFIGURATION ===
@@ -21,7 +33,8 @@ const electronAPI = {
 
   // === NETWORK ===
   network: {
-    getInfo: (port, enableLan) => ipcRenderer.invoke('network:get-info', port, enableLan),
+    getInfo: (port, enableLan, ipv6 = false, bindAddress = null) => ipcRenderer.invoke('network:get-info', port, enableLan, ipv6, bindAddress),
+    getInterfaces: () => ipcRenderer.invoke('network:get-interfaces'),
     getDebugInfo: () => ipcRenderer.invoke('network:get-debug-info'),
     checkPort: (port) => ipcRenderer.invoke('network:check-port', port),
     suggestPorts: (currentPort, count) => ipcRenderer.invoke('network:suggest-ports', currentPort, count),
@@ -35,10 +48,46 @@ const electronAPI = {
     export: () => ipcRenderer.invoke('logs:export')
   },
 
+  // === SCHEDULES ===
+  schedule: {
+    getNext: (profileId) => ipcRenderer.invoke('schedule:get-next', profileId),
+    skipNext: (profileId) => ipcRenderer.invoke('schedule:skip-next', profileId),
+    cancelSkip: (profileId) => ipcRenderer.invoke('schedule:cancel-skip', profileId)
+  },
+
+  // === LOGIN AUTOSTART (LINUX) ===
+  autostart: {
+    getStatus: () => ipcRenderer.invoke('autostart:get-status'),
+    setDesktopEntry: (options) => ipcRenderer.invoke('autostart:set-desktop-entry', options),
+    setSystemdUnit: (options) => ipcRenderer.invoke('autostart:set-systemd-unit', options)
+  },
+
+  // === APPLICATION BUNDLES ===
+  bundles: {
+    list: () => ipcRenderer.invoke('bundles:list'),
+    import: (archivePath = null) => ipcRenderer.invoke('bundles:import', archivePath),
+    use: (profileId, versionId) => ipcRenderer.invoke('bundles:use', profileId, versionId),
+    getHistory: (profileId) => ipcRenderer.invoke('bundles:get-history', profileId),
+    rollback: (profileId, versionId) => ipcRenderer.invoke('bundles:rollback', profileId, versionId),
+    remove: (versionId) => ipcRenderer.invoke('bundles:remove', versionId)
+  },
+
+  // === INTEGRITY ===
+  integrity: {
+    verify: (profileId) => ipcRenderer.invoke('integrity:verify', profileId)
+  },
+
+  // === LOCAL API ===
+  api: {
+    getStatus: () => ipcRenderer.invoke('api:get-status'),
+    configure: (values) => ipcRenderer.invoke('api:configure', values),
+    regenerateToken: () => ipcRenderer.invoke('api:regenerate-token')
+  },
+
   // === MONITORING ===
   monitoring: {
-    getMetrics: () => ipcRenderer.invoke('monitoring:get-metrics'),
-    getDetailedStatus: () => ipcRenderer.invoke('monitoring:get-detailed-status')
+    getMetrics: (profileId) => ipcRenderer.invoke('monitoring:get-metrics', profileId),
+    getDetailedStatus: (profileId) => ipcRenderer.invoke('monitoring:get-detailed-status', profileId)
   },
 
   // === ERROR HANDLING ===
@@ -57,7 +106,7 @@ const electronAPI = {
   // === SYSTEM UTILITIES ===
   utils: {
     openExternal: (url) => ipcRenderer.invoke('utils:open-external', url),
-    getNetworkInfo: () => ipcRenderer.invoke('utils:get-network-info')
+    getNetworkInfo: (profileId) => ipcRenderer.invoke('utils:get-network-info', profileId)
   },
 
   // === SYSTEM ===
@@ -98,6 +147,41 @@ const electronAPI = {
       ipcRenderer.on('server-critical-error', (event, data) => callback(data));
     },
 
+    // Listen for scheduled automatic restarts
+    onServerRestartScheduled: (callback) => {
+      ipcRenderer.on('server-restart-scheduled', (event, data) => callback(data));
+    },
+
+    // Listen for crash-looping servers
+    onServerCrashLoop: (callback) => {
+      ipcRenderer.on('server-crash-loop', (event, data) => callback(data));
+    },
+
+    onServerOutput: (callback) => {
+      ipcRenderer.on('server-output', (event, data) => callback(data));
+    },
+
+    onServerRecycled: (callback) => {
+      ipcRenderer.on('server-recycled', (event, data) => callback(data));
+    },
+
+    onScheduleUpdated: (callback) => {
+      ipcRenderer.on('schedule-updated', (event, data) => callback(data));
+    },
+
+    onBuildChanged: (callback) => {
+      ipcRenderer.on('build-changed', (event, data) => callback(data));
+    },
+
+    onBundleRolledBack: (callback) => {
+      ipcRenderer.on('bundle-rolled-back', (event, data) => callback(data));
+    },
+
+    // Listen for commands forwarded from the command line (e.g. a second launch)
+    onCommandLine: (callback) => {
+      ipcRenderer.on('command-line', (event, data) => callback(data));
+    },
+
     // Listen for autostart success
     onAutostartSuccess: (callback) => {
       ipcRenderer.on('autostart-success', (event, data) => callback(data));
@@ -115,6 +199,14 @@ const electronAPI = {
       ipcRenderer.removeAllListeners('port-changed');
       ipcRenderer.removeAllListeners('server-health-warning');
       ipcRenderer.removeAllListeners('server-critical-error');
+      ipcRenderer.removeAllListeners('server-restart-scheduled');
+      ipcRenderer.removeAllListeners('server-crash-loop');
+      ipcRenderer.removeAllListeners('server-output');
+      ipcRenderer.removeAllListeners('server-recycled');
+      ipcRenderer.removeAllListeners('schedule-updated');
+      ipcRenderer.removeAllListeners('command-line');
+      ipcRenderer.removeAllListeners('build-changed');
+      ipcRenderer.removeAllListeners('bundle-rolled-back');
       ipcRenderer.removeAllListeners('autostart-success');
       ipcRenderer.removeAllListeners('autostart-failed');
     }
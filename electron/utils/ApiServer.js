@@ -0,0 +1,286 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+
+// REST routes mapped onto the IPC channels of the control panel
+// args(params, query, body) builds the arguments passed to the IPC handler.
+const ROUTES = [
+  { method: 'GET', path: '/api/servers', channel: 'profiles:list', args: () => [] },
+  { method: 'GET', path: '/api/servers/:id', channel: 'server:get-status', args: ({ id }) => [id], profile: true },
+  { method: 'POST', path: '/api/servers/:id/start', channel: 'server:start', args: ({ id }, query, body) => [id, body], profile: true },
+  { method: 'POST', path: '/api/servers/:id/stop', channel: 'server:stop', args: ({ id }) => [id], profile: true },
+  { method: 'POST', path: '/api/servers/:id/restart', channel: 'server:restart', args: ({ id }) => [id], profile: true },
+  {
+    method: 'GET',
+    path: '/api/servers/:id/output',
+    channel: 'server:get-output',
+    args: ({ id }, query) => [id, {
+      since: query.has('since') ? Number(query.get('since')) : undefined,
+      limit: query.has('limit') ? Number(query.get('limit')) : undefined,
+      stream: query.get('stream') || undefined
+    }],
+    profile: true
+  },
+  { method: 'GET', path: '/api/servers/:id/metrics', channel: 'monitoring:get-metrics', args: ({ id }) => [id], profile: true },
+  { method: 'GET', path: '/api/servers/:id/health', channel: 'monitoring:get-detailed-status', args: ({ id }) => [id], profile: true },
+  { method: 'GET', path: '/api/config', channel: 'config:get', args: (params, query) => [requireValue(query.get('key'), 'key')] },
+  { method: 'PUT', path: '/api/config', channel: 'config:set', args: (params, query, body) => [requireValue(body?.key, 'key'), body?.value] },
+  { method: 'GET', path: '/api/logs', channel: 'logs:get-recent', args: (params, query) => [Number(query.get('count')) || 50] },
+  { method: 'GET', path: '/api/errors', channel: 'errors:get-history', args: (params, query) => [Number(query.get('limit')) || undefined] },
+  { method: 'GET', path: '/api/errors/statistics', channel: 'errors:get-statistics', args: () => [] }
+];
+
+function requireValue(value, name) {
+  if (!value) {
+    throw Object.assign(new Error(`"${name}" is required`), { status: 400 });
+  }
+  return value;
+}
+
+class ApiServer {
+  /**
+   * options: { invoke(channel, ...args), profileExists(profileId), token }
+   */
+  constructor(logManager, options = {}) {
+    this.logManager = logManager;
+    this.invoke = options.invoke;
+    this.profileExists = options.profileExists || (() => true);
+    this.token = options.token || null;
+    this.server = null;
+    this.port = null;
+    this.sockets = new Set();
+    this.stats = { requests: 0, unauthorized: 0 };
+  }
+
+  /**
+   * Starts listening on the loopback interface only
+   */
+  start(port) {
+    if (this.server) {
+      return Promise.reject(new Error('API server is already running'));
+    }
+    if (!this.token) {
+      return Promise.reject(new Error('API server requires a token'));
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      const onError = (error) => {
+        this.server = null;
+        reject(error);
+      };
+
+      this.server.once('error', onError);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.removeListener('error', onError);
+        this.server.on('error', (error) => {
+          this.logManager?.error('API server error', { error: error.message });
+        });
+
+        this.port = port;
+        this.logManager?.info('Local API listening', { port, hostname: '127.0.0.1' });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops the API server and closes open connections
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      for (const socket of this.sockets) {
+        socket.destroy();
+      }
+      this.sockets.clear();
+    });
+
+    this.logManager?.info('Local API stopped', { port: this.port });
+  }
+
+  /**
+   * Replaces the token accepted by the API
+   */
+  setToken(token) {
+    this.token = token;
+  }
+
+  /**
+   * Checks if the API is listening
+   */
+  isRunning() {
+    return this.server !== null;
+  }
+
+  /**
+   * Gets request counters
+   */
+  getStats() {
+    return { ...this.stats, port: this.port, running: this.isRunning() };
+  }
+
+  // === PRIVATE METHODS ===
+
+  async handleRequest(req, res) {
+    this.stats.requests++;
+
+    // Reject other host names (DNS rebinding from a web page)
+    if (!this.isHostAllowed(req.headers.host)) {
+      this.sendJson(res, 403, { success: false, error: 'Forbidden host' });
+      return;
+    }
+
+    if (!this.isAuthorized(req.headers.authorization)) {
+      this.stats.unauthorized++;
+      this.logManager?.warn('Local API request rejected - Invalid token', { method: req.method, url: req.url });
+      this.sendJson(res, 401, { success: false, error: 'Missing or invalid token' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const match = this.matchRoute(req.method, url.pathname);
+    if (!match) {
+      this.sendJson(res, 404, { success: false, error: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+    if (match.methodNotAllowed) {
+      this.sendJson(res, 405, { success: false, error: `Method ${req.method} not allowed` }, { Allow: match.allowed.join(', ') });
+      return;
+    }
+
+    const { route, params } = match;
+    if (route.profile && !this.profileExists(params.id)) {
+      this.sendJson(res, 404, { success: false, error: `Server profile "${params.id}" does not exist.` });
+      return;
+    }
+
+    try {
+      const body = ['POST', 'PUT'].includes(req.method) ? await this.readBody(req) : null;
+      if (route.channel === 'config:set' && String(body?.key || '').split('.')[0] === 'api') {
+        this.sendJson(res, 403, { success: false, error: 'API settings can only be changed from the control panel' });
+        return;
+      }
+
+      const result = await this.invoke(route.channel, ...route.args(params, url.searchParams, body));
+      const status = result && result.success === false ? 400 : 200;
+      this.sendJson(res, status, result ?? null);
+    } catch (error) {
+      this.sendJson(res, error.status || 500, { success: false, error: error.message });
+      if (!error.status) {
+        this.logManager?.error('Local API request failed', { method: req.method, url: req.url, error: error.message });
+      }
+    }
+  }
+
+  isHostAllowed(host) {
+    if (!host) return false;
+    const hostname = host.replace(/:\d+$/, '');
+    return ['127.0.0.1', 'localhost', '[::1]'].includes(hostname);
+  }
+
+  isAuthorized(header) {
+    const match = String(header || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match || !this.token) {
+      return false;
+    }
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  matchRoute(method, pathname) {
+    const allowed = [];
+
+    for (const route of ROUTES) {
+      const params = this.matchPath(route.path, pathname.replace(/\/+$/, '') || '/');
+      if (!params) continue;
+      if (route.method === method) {
+        return { route, params };
+      }
+      allowed.push(route.method);
+    }
+
+    return allowed.length > 0 ? { methodNotAllowed: true, allowed } : null;
+  }
+
+  matchPath(pattern, pathname) {
+    const patternParts = pattern.split('/');
+    const pathParts = pathname.split('/');
+    if (patternParts.length !== pathParts.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let index = 0; index < patternParts.length; index++) {
+      if (patternParts[index].startsWith(':')) {
+        try {
+          params[patternParts[index].slice(1)] = decodeURIComponent(pathParts[index]);
+        } catch {
+          return null; // Malformed escape sequence
+        }
+      } else if (patternParts[index] !== pathParts[index]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text.trim()) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch {
+          reject(Object.assign(new Error('Request body must be JSON'), { status: 400 }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, payload, headers = {}) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    res.end(body);
+  }
+}
+
+ApiServer.ROUTES = ROUTES;
+
+module.exports = ApiServer;
@@ -0,0 +1,205 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const DESKTOP_FILE = 'oxichstudio.desktop';
+const SERVICE_NAME = 'oxichstudio.service';
+
+class AutostartManager {
+  /**
+   * launchCommand: [executable, ...args] starting this OxichStudio (from main.js)
+   */
+  constructor(logManager, launchCommand) {
+    this.logManager = logManager;
+    this.launchCommand = launchCommand;
+    this.systemctlTimeout = 10000;
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    this.desktopEntryPath = path.join(configHome, 'autostart', DESKTOP_FILE);
+    this.unitPath = path.join(configHome, 'systemd', 'user', SERVICE_NAME);
+  }
+
+  /**
+   * Login integration is written for XDG desktops and systemd (Linux)
+   */
+  isSupported() {
+    return process.platform === 'linux';
+  }
+
+  /**
+   * Reads what is currently installed
+   * Returns { supported, desktopEntry: { installed, hidden, path }, systemdUnit: { installed, enabled, profileId, path } }.
+   */
+  async getStatus() {
+    if (!this.isSupported()) {
+      return { supported: false, desktopEntry: null, systemdUnit: null };
+    }
+
+    const desktopEntry = await this.readFile(this.desktopEntryPath);
+    const unit = await this.readFile(this.unitPath);
+    const execLine = unit?.match(/^ExecStart=(.*)$/m)?.[1] || '';
+
+    return {
+      supported: true,
+      desktopEntry: {
+        installed: Boolean(desktopEntry) && !/^Hidden=true$/m.test(desktopEntry),
+        hidden: Boolean(desktopEntry?.match(/^Exec=.*--hidden/m)),
+        path: this.desktopEntryPath
+      },
+      systemdUnit: {
+        installed: Boolean(unit),
+        enabled: unit ? await this.isUnitEnabled() : false,
+        profileId: execLine.match(/--profile[= ]"?([\w-]+)"?/)?.[1] || null,
+        path: this.unitPath
+      }
+    };
+  }
+
+  /**
+   * Writes the XDG autostart entry (hidden: start in the tray without the control panel)
+   */
+  async enableDesktopEntry({ hidden = true } = {}) {
+    this.assertSupported();
+
+    const args = [...this.launchCommand, hidden ? '--hidden' : '--open'];
+    const content = [
+      '[Desktop Entry]',
+      'Type=Application',
+      'Name=OxichStudio',
+      'Comment=OxichStudio server controller',
+      `Exec=${args.map(arg => this.quoteDesktopArg(arg)).join(' ')}`,
+      'Terminal=false',
+      'X-GNOME-Autostart-enabled=true',
+      ''
+    ].join('\n');
+
+    await fs.mkdir(path.dirname(this.desktopEntryPath), { recursive: true });
+    await fs.writeFile(this.desktopEntryPath, content, 'utf8');
+    await this.logManager?.info('Login autostart entry written', { path: this.desktopEntryPath, hidden });
+  }
+
+  /**
+   * Removes the XDG autostart entry
+   */
+  async disableDesktopEntry() {
+    this.assertSupported();
+    await fs.rm(this.desktopEntryPath, { force: true });
+    await this.logManager?.info('Login autostart entry removed', { path: this.desktopEntryPath });
+  }
+
+  /**
+   * Writes and enables a systemd user unit running OxichStudio headless
+   * Resolves with { enabled, warning } - the unit file is kept when systemctl is unavailable.
+   */
+  async installSystemdUnit({ profileId = null } = {}) {
+    this.assertSupported();
+
+    const args = [...this.launchCommand, '--headless', ...(profileId ? ['--profile', profileId] : [])];
+    const content = [
+      '[Unit]',
+      'Description=OxichStudio server controller (headless)',
+      'Wants=network-online.target',
+      'After=network-online.target',
+      '',
+      '[Service]',
+      'Type=simple',
+      `ExecStart=${args.map(arg => this.quoteSystemdArg(arg)).join(' ')}`,
+      // OxichStudio stops its servers (drain included) on SIGTERM
+      'KillMode=mixed',
+      'KillSignal=SIGTERM',
+      'TimeoutStopSec=90',
+      'Restart=on-failure',
+      'RestartSec=5',
+      '',
+      '[Install]',
+      'WantedBy=default.target',
+      ''
+    ].join('\n');
+
+    await fs.mkdir(path.dirname(this.unitPath), { recursive: true });
+    await fs.writeFile(this.unitPath, content, 'utf8');
+    await this.logManager?.info('systemd user unit written', { path: this.unitPath, profileId });
+
+    try {
+      await this.systemctl('daemon-reload');
+      await this.systemctl('enable', SERVICE_NAME);
+      return { enabled: true, warning: null };
+    } catch (error) {
+      await this.logManager?.warn('systemd user unit could not be enabled', { error: error.message });
+      return { enabled: false, warning: `Unit written but not enabled: ${error.message}` };
+    }
+  }
+
+  /**
+   * Disables and removes the systemd user unit
+   */
+  async removeSystemdUnit() {
+    this.assertSupported();
+
+    try {
+      await this.systemctl('disable', SERVICE_NAME);
+    } catch (error) {
+      await this.logManager?.debug('systemd user unit could not be disabled', { error: error.message });
+    }
+
+    await fs.rm(this.unitPath, { force: true });
+    await this.systemctl('daemon-reload').catch(() => {});
+    await this.logManager?.info('systemd user unit removed', { path: this.unitPath });
+  }
+
+  // === PRIVATE METHODS ===
+
+  assertSupported() {
+    if (!this.isSupported()) {
+      throw new Error('Login integration is only available on Linux');
+    }
+  }
+
+  async readFile(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async isUnitEnabled() {
+    try {
+      const output = await this.systemctl('is-enabled', SERVICE_NAME);
+      return output.trim() === 'enabled';
+    } catch {
+      return false;
+    }
+  }
+
+  systemctl(...args) {
+    return new Promise((resolve, reject) => {
+      execFile('systemctl', ['--user', ...args], { timeout: this.systemctlTimeout }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(error.code === 'ENOENT' ? 'systemctl not found' : (stderr.trim() || error.message)));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  // Desktop Entry Specification: quote arguments with reserved characters
+  quoteDesktopArg(arg) {
+    if (!/[\s"'\\`$<>~|&;*?#()]/.test(arg)) {
+      return arg.replace(/%/g, '%%');
+    }
+    return `"${arg.replace(/(["`$\\])/g, '\\$1').replace(/%/g, '%%')}"`;
+  }
+
+  // systemd.service command lines: quote arguments with spaces, "%" starts a specifier
+  quoteSystemdArg(arg) {
+    const escaped = arg.replace(/%/g, '%%');
+    if (!/[\s"'\\]/.test(arg)) {
+      return escaped;
+    }
+    return `"${escaped.replace(/(["\\])/g, '\\$1')}"`;
+  }
+}
+
+module.exports = AutostartManager;
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const MODES = ['prompt', 'auto'];
+
+class BuildWatcher extends EventEmitter {
+  constructor(logManager, options = {}) {
+    super();
+    this.logManager = logManager;
+    this.pollInterval = options.pollInterval || 2000;
+    // A build is only announced once BUILD_ID stopped changing (assets are copied after it)
+    this.settleDelay = options.settleDelay || 5000;
+    this.watches = new Map(); // profileId -> { file, buildId, availableBuildId, timer, listener }
+  }
+
+  /**
+   * Reads a Next.js BUILD_ID file, null when it does not exist
+   */
+  static readBuildId(file) {
+    try {
+      return fs.readFileSync(file, 'utf8').trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Watches the BUILD_ID of a running server
+   * The file is polled: a rebuild deletes and recreates the whole standalone directory.
+   */
+  watch(profileId, file, buildId = BuildWatcher.readBuildId(file)) {
+    this.unwatch(profileId);
+
+    const entry = { file, buildId, availableBuildId: null, timer: null, listener: null };
+    entry.listener = () => this.check(profileId);
+    fs.watchFile(file, { interval: this.pollInterval, persistent: false }, entry.listener);
+    this.watches.set(profileId, entry);
+
+    this.logManager?.info('Watching server build', { profileId, file, buildId });
+  }
+
+  /**
+   * Stops watching the build of a server
+   */
+  unwatch(profileId) {
+    const entry = this.watches.get(profileId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    fs.unwatchFile(entry.file, entry.listener);
+    this.watches.delete(profileId);
+  }
+
+  /**
+   * Records the build a server now runs (after a restart)
+   */
+  setBuildId(profileId, buildId) {
+    const entry = this.watches.get(profileId);
+    if (!entry) return;
+
+    entry.buildId = buildId;
+    if (entry.availableBuildId === buildId) {
+      entry.availableBuildId = null;
+    }
+  }
+
+  /**
+   * Gets the running and newly available build of a server
+   * Returns { buildId, availableBuildId, file } or null when not watched.
+   */
+  getBuild(profileId) {
+    const entry = this.watches.get(profileId);
+    if (!entry) {
+      return null;
+    }
+    return { buildId: entry.buildId, availableBuildId: entry.availableBuildId, file: entry.file };
+  }
+
+  /**
+   * Stops all watchers
+   */
+  unwatchAll() {
+    for (const profileId of [...this.watches.keys()]) {
+      this.unwatch(profileId);
+    }
+  }
+
+  /**
+   * Validates the buildWatch section of a profile
+   */
+  static validate(buildWatch) {
+    if (!buildWatch || typeof buildWatch !== 'object') {
+      throw new Error('Build watch settings must be an object');
+    }
+    if (buildWatch.mode !== undefined && !MODES.includes(buildWatch.mode)) {
+      throw new Error(`Build watch mode must be one of: ${MODES.join(', ')}`);
+    }
+    return true;
+  }
+
+  // === PRIVATE METHODS ===
+
+  check(profileId) {
+    const entry = this.watches.get(profileId);
+    if (!entry) return;
+
+    // Wait for the build to settle, restarting the delay on every change
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      const buildId = BuildWatcher.readBuildId(entry.file);
+      if (!buildId || buildId === entry.buildId || buildId === entry.availableBuildId) {
+        return;
+      }
+
+      const previousBuildId = entry.buildId;
+      entry.availableBuildId = buildId;
+      this.logManager?.info('New server build detected', { profileId, previousBuildId, buildId });
+      this.emit('build-changed', { profileId, previousBuildId, buildId });
+    }, this.settleDelay);
+  }
+}
+
+BuildWatcher.MODES = MODES;
+
+module.exports = BuildWatcher;
@@ -0,0 +1,313 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const IntegrityManager = require('./IntegrityManager');
+
+const METADATA_FILE = 'bundle.json';
+const HISTORY_FILE = 'history.json';
+const HISTORY_LIMIT = 20; // entries kept per profile
+const VERSION_PATTERN = /^[\w.-]+$/;
+// Directories searched for server.js: archives may hold the standalone directory itself or its parent
+const SEARCH_DEPTH = 3;
+
+class BundleManager {
+  /**
+   * bundlesDir: directory holding one sub-directory per imported version (in userData)
+   */
+  constructor(logManager, bundlesDir) {
+    this.logManager = logManager;
+    this.bundlesDir = bundlesDir;
+    this.extractTimeout = 5 * 60 * 1000;
+    this.historyPath = path.join(bundlesDir, HISTORY_FILE);
+    this.historyUpdate = Promise.resolve(); // history writes run one after the other
+  }
+
+  /**
+   * Gets the archive format from the file name ('zip', 'tar.gz' or null)
+   */
+  static getArchiveFormat(file) {
+    if (/\.zip$/i.test(file)) return 'zip';
+    if (/\.(tar\.gz|tgz)$/i.test(file)) return 'tar.gz';
+    return null;
+  }
+
+  /**
+   * Lists imported versions, newest first
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.bundlesDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const bundles = [];
+    for (const entry of entries) {
+      // Dot directories are imports in progress
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      const bundle = await this.get(entry.name);
+      if (bundle) {
+        bundles.push(bundle);
+      }
+    }
+    return bundles.sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+  }
+
+  /**
+   * Gets the metadata of a version, null when it does not exist
+   */
+  async get(versionId) {
+    if (!BundleManager.isValidVersionId(versionId)) {
+      return null;
+    }
+
+    try {
+      const metadata = JSON.parse(await fs.readFile(path.join(this.bundlesDir, versionId, METADATA_FILE), 'utf8'));
+      return { ...metadata, id: versionId, path: path.join(this.bundlesDir, versionId) };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Gets the server.js of a version
+   */
+  getServerPath(versionId) {
+    if (!BundleManager.isValidVersionId(versionId)) {
+      throw new Error(`Invalid bundle version: ${versionId}`);
+    }
+    return path.join(this.bundlesDir, versionId, 'server.js');
+  }
+
+  /**
+   * Unpacks a .zip or .tar.gz standalone build into a new version directory
+   * Resolves with the metadata of the version; nothing is kept when the archive is not a standalone build.
+   */
+  async import(archivePath) {
+    const format = BundleManager.getArchiveFormat(archivePath);
+    if (!format) {
+      throw new Error('Bundles must be .zip or .tar.gz archives');
+    }
+    const stats = await fs.stat(archivePath).catch(() => null);
+    if (!stats?.isFile()) {
+      throw new Error(`Archive not found: ${archivePath}`);
+    }
+
+    const versionId = this.createVersionId();
+    const stagingDir = path.join(this.bundlesDir, `.import-${versionId}`);
+    await fs.mkdir(stagingDir, { recursive: true });
+
+    try {
+      await this.extract(archivePath, format, stagingDir);
+
+      const serverRoot = await this.findServerRoot(stagingDir);
+      if (!serverRoot) {
+        throw new Error('The archive does not contain a standalone build (server.js not found)');
+      }
+
+      // Archives built with a manifest must match it before they become a version
+      const integrity = await IntegrityManager.verify(serverRoot);
+      if (!integrity.verified) {
+        throw new Error(`The archive is damaged: ${IntegrityManager.describe(integrity)}`);
+      }
+
+      const versionDir = path.join(this.bundlesDir, versionId);
+      await fs.rename(serverRoot, versionDir);
+
+      const metadata = {
+        id: versionId,
+        name: path.basename(archivePath).replace(/\.(zip|tar\.gz|tgz)$/i, ''),
+        archive: path.resolve(archivePath),
+        archiveSize: stats.size,
+        buildId: await this.readBuildId(versionDir),
+        integrity: integrity.status, // 'verified' or 'no-manifest'
+        importedAt: new Date().toISOString()
+      };
+      await fs.writeFile(path.join(versionDir, METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf8');
+
+      await this.logManager?.info('Application bundle imported', { versionId, archive: metadata.archive, buildId: metadata.buildId });
+      return { ...metadata, path: versionDir };
+    } finally {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Deletes a version directory
+   */
+  async remove(versionId) {
+    if (!await this.get(versionId)) {
+      throw new Error(`Bundle version "${versionId}" does not exist`);
+    }
+    await fs.rm(path.join(this.bundlesDir, versionId), { recursive: true, force: true });
+    await this.logManager?.info('Application bundle removed', { versionId });
+  }
+
+  /**
+   * Records that a profile now runs a version (null = bundled application)
+   */
+  recordActivation(profileId, versionId) {
+    return this.updateHistory(profileId, (entries) => {
+      if (entries[0]?.versionId === versionId) {
+        return entries;
+      }
+      return [{ versionId, activatedAt: new Date().toISOString(), health: null }, ...entries];
+    });
+  }
+
+  /**
+   * Records the startup result of the version a profile runs
+   * health: { healthy, error }
+   */
+  recordHealth(profileId, versionId, { healthy, error = null }) {
+    return this.updateHistory(profileId, (entries) => {
+      const entry = entries.find(item => item.versionId === versionId);
+      const health = { healthy: Boolean(healthy), error: healthy ? null : error, checkedAt: new Date().toISOString() };
+      if (!entry) {
+        return [{ versionId, activatedAt: health.checkedAt, health }, ...entries];
+      }
+      entry.health = health;
+      return entries;
+    });
+  }
+
+  /**
+   * Gets the versions a profile ran, newest first, with their metadata and last health result
+   */
+  async getHistory(profileId) {
+    await this.historyUpdate.catch(() => {});
+    const entries = (await this.readHistory())[profileId] || [];
+
+    const history = [];
+    for (const entry of entries) {
+      const bundle = entry.versionId ? await this.get(entry.versionId) : null;
+      history.push({
+        ...entry,
+        name: entry.versionId ? (bundle?.name || entry.versionId) : 'Bundled application',
+        buildId: bundle?.buildId || null,
+        importedAt: bundle?.importedAt || null,
+        available: entry.versionId === null || Boolean(bundle)
+      });
+    }
+    return history;
+  }
+
+  /**
+   * Finds the version to roll back to: the newest other version still on disk that did not fail
+   * Resolves with { versionId } or null.
+   */
+  async findRollbackTarget(profileId, currentVersionId) {
+    const history = await this.getHistory(profileId);
+    const target = history.find(entry =>
+      entry.versionId !== currentVersionId && entry.available && entry.health?.healthy !== false
+    );
+    return target ? { versionId: target.versionId } : null;
+  }
+
+  /**
+   * Forgets the history of a removed profile
+   */
+  removeHistory(profileId) {
+    return this.updateHistory(profileId, () => null);
+  }
+
+  /**
+   * Checks a version id (a directory name under bundlesDir)
+   */
+  static isValidVersionId(versionId) {
+    return typeof versionId === 'string' && VERSION_PATTERN.test(versionId) && !versionId.startsWith('.');
+  }
+
+  // === PRIVATE METHODS ===
+
+  // Sortable and unique: 20250114-093012-a1b2c3
+  createVersionId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // tar ships with Windows 10+, macOS and Linux; bsdtar (Windows, macOS) also reads zip files
+  extract(archivePath, format, destination) {
+    if (format === 'tar.gz') {
+      return this.run('tar', ['-xzf', archivePath, '-C', destination]);
+    }
+    if (process.platform === 'linux') {
+      return this.run('unzip', ['-q', archivePath, '-d', destination]);
+    }
+    return this.run('tar', ['-xf', archivePath, '-C', destination]);
+  }
+
+  // Shallowest directory with a server.js, e.g. the archive root or "standalone/"
+  async findServerRoot(dir) {
+    let level = [dir];
+    for (let depth = 0; depth <= SEARCH_DEPTH && level.length > 0; depth++) {
+      const next = [];
+      for (const current of level) {
+        const entries = await fs.readdir(current, { withFileTypes: true });
+        if (entries.some(entry => entry.isFile() && entry.name === 'server.js')) {
+          return current;
+        }
+        for (const entry of entries) {
+          if (entry.isDirectory() && entry.name !== 'node_modules') {
+            next.push(path.join(current, entry.name));
+          }
+        }
+      }
+      level = next;
+    }
+    return null;
+  }
+
+  async readHistory() {
+    try {
+      return JSON.parse(await fs.readFile(this.historyPath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  // update(entries) returns the new entries of the profile, null to remove them
+  updateHistory(profileId, update) {
+    this.historyUpdate = this.historyUpdate.catch(() => {}).then(async () => {
+      const history = await this.readHistory();
+      const entries = update(history[profileId] || []);
+      if (entries) {
+        history[profileId] = entries.slice(0, HISTORY_LIMIT);
+      } else {
+        delete history[profileId];
+      }
+
+      await fs.mkdir(this.bundlesDir, { recursive: true });
+      await fs.writeFile(this.historyPath, JSON.stringify(history, null, 2), 'utf8');
+    });
+    return this.historyUpdate;
+  }
+
+  async readBuildId(versionDir) {
+    try {
+      return (await fs.readFile(path.join(versionDir, '.next', 'BUILD_ID'), 'utf8')).trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: this.extractTimeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(error.code === 'ENOENT'
+            ? `${command} not found - it is required to unpack this archive`
+            : `Unable to unpack the archive: ${stderr.trim() || error.message}`));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+}
+
+BundleManager.METADATA_FILE = METADATA_FILE;
+
+module.exports = BundleManager;
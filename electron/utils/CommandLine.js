@@ -0,0 +1,87 @@
+const ACTIONS = ['start', 'stop', 'restart'];
+
+class CommandLine {
+  /**
+   * Gets the user arguments of a launch (without the executable and, in development, the app path)
+   */
+  static userArgs(argv, defaultApp = Boolean(process.defaultApp)) {
+    return argv.slice(defaultApp ? 2 : 1);
+  }
+
+  /**
+   * Parses OxichStudio options; unknown arguments (e.g. Chromium switches) are ignored
+   * Returns { action, profile, open, hidden, headless, port, lan, unknown }.
+   */
+  static parse(args) {
+    const options = { action: null, profile: null, open: false, hidden: false, headless: false, port: null, lan: null, unknown: [] };
+
+    for (let index = 0; index < args.length; index++) {
+      const arg = args[index];
+      const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+      const name = flag.replace(/^--/, '');
+
+      if (ACTIONS.includes(name)) {
+        options.action = name;
+      } else if (name === 'open') {
+        options.open = true;
+      } else if (name === 'hidden') {
+        options.hidden = true; // start in the tray, even with --open
+      } else if (name === 'headless') {
+        options.headless = true;
+      } else if (name === 'lan' || name === 'no-lan') {
+        options.lan = name === 'lan';
+      } else if (name === 'profile') {
+        options.profile = CommandLine.takeValue(args, index, inlineValue, '--profile requires a profile id or name');
+        index += inlineValue === undefined ? 1 : 0;
+      } else if (name === 'port') {
+        const value = CommandLine.takeValue(args, index, inlineValue, '--port requires a port number');
+        index += inlineValue === undefined ? 1 : 0;
+        const port = Number(value);
+        if (!Number.isInteger(port) || port < 1000 || port > 65535) {
+          throw new Error(`Invalid port "${value}". Please use a port between 1000 and 65535.`);
+        }
+        options.port = port;
+      } else {
+        options.unknown.push(arg);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Tells whether parsed options ask for anything
+   */
+  static hasCommand(options) {
+    return Boolean(options.action || options.open || options.profile || options.port || options.lan !== null);
+  }
+
+  /**
+   * Gets the profile values overridden by the options for this run
+   */
+  static getOverrides(options) {
+    const overrides = {};
+    if (options.port) {
+      overrides.port = options.port;
+    }
+    if (options.lan !== null) {
+      overrides.enableLan = options.lan;
+    }
+    return overrides;
+  }
+
+  // === PRIVATE METHODS ===
+
+  // Value of "--flag=value" or "--flag value"
+  static takeValue(args, index, inlineValue, message) {
+    const value = inlineValue !== undefined ? inlineValue : args[index + 1];
+    if (!value || value.startsWith('--')) {
+      throw new Error(message);
+    }
+    return value;
+  }
+}
+
+CommandLine.ACTIONS = ACTIONS;
+
+module.exports = CommandLine;
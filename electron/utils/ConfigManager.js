@@ -7,11 +7,8 @@ class ConfigManager {
     this.configPath = path.join(app.getPath('userData'), 'config.json');
     this.backupPath = path.join(app.getPath('userData'), 'config.backup.json');
     this.defaultConfig = {
-      server: {
-        port: 8080,
-        hostname: '127.0.0.1',
-        autoStart: false,
-        enableLan: false
+      profiles: {
+        default: this.createProfile('Default')
       },
       window: {
         width: 1200,
@@ -25,9 +22,28 @@ class ConfigManager {
       },
       history: {
         recentPorts: [8080, 3000, 9000]
+      },
+      api: {
+        enabled: false, // local REST API on 127.0.0.1
+        port: 8765,
+        token: null // generated when the API is first enabled
+      },
+      integrity: {
+        // integrity.json (SHA-256 of every file) is checked before each start
+        enabled: true,
+        requireManifest: false, // refuse bundled/imported builds without a manifest
+        publicKey: null // PEM public key file; when set, integrity.json.sig must be valid
+      },
+      autostart: {
+        // Linux login integration, kept in sync with the installed files
+        desktopEntry: false, // XDG autostart entry
+        hidden: true, // start in the tray without the control panel
+        systemdUnit: false, // systemd user unit running headless
+        systemdProfile: null
       }
     };
     this.config = null;
+    this.runtimeOverrides = new Map(); // profileId -> values applied for this run only (command line)
   }
 
   /**
@@ -53,12 +69,12 @@ class ConfigManager {
       if (!configExists) {
         console.log('📄 Creating new configuration');
         await this.saveConfig(this.defaultConfig);
-        this.config = { ...this.defaultConfig };
+        this.config = this.cloneDefaultConfig();
         return;
       }
 
       const data = await fs.readFile(this.configPath, 'utf8');
-      const loadedConfig = JSON.parse(data);
+      const loadedConfig = this.migrateLegacyServerConfig(JSON.parse(data));
       
       // Merge with default config to handle new keys
       this.config = this.mergeWithDefault(loadedConfig);
@@ -129,7 +145,7 @@ class ConfigManager {
    */
   async set(keyPath, value) {
     if (!this.config) {
-      this.config = { ...this.defaultConfig };
+      this.config = this.cloneDefaultConfig();
     }
     
     const keys = keyPath.split('.');
@@ -157,7 +173,7 @@ class ConfigManager {
    */
   async updateMultiple(updates) {
     if (!this.config) {
-      this.config = { ...this.defaultConfig };
+      this.config = this.cloneDefaultConfig();
     }
     
     for (const [keyPath, value] of Object.entries(updates)) {
@@ -185,11 +201,211 @@ class ConfigManager {
    * Resets configuration to default
    */
   async resetToDefault() {
-    this.config = { ...this.defaultConfig };
+    this.config = this.cloneDefaultConfig();
     await this.saveConfig();
     console.log('🔄 Configuration reset to default');
   }
 
+  /**
+   * Builds a server profile with default values
+   */
+  createProfile(name, overrides = {}) {
+    return {
+      name,
+      type: 'node', // 'node' = run entrypoint with Node, 'command' = run command with args
+      entrypoint: null, // null = bundled Next.js standalone server
+      bundle: null, // imported bundle version (userData/bundles), used when entrypoint is null
+      autoRollback: true, // return to the previous bundle version when a new one fails to start
+      command: null,
+      args: [],
+      cwd: null, // null = entrypoint directory
+      runtime: 'electron', // 'electron' = Node bundled with OxichStudio, 'node' = Node.js binary below
+      nodePath: null, // null = node from PATH; also used when the bundled runtime is unavailable
+      port: 8080,
+      hostname: null, // with LAN access, only listen on this address (null, loopback or 0.0.0.0 = all interfaces)
+      enableLan: false,
+      ipv6: false, // with LAN access, listen on :: (IPv4 and IPv6) instead of 0.0.0.0
+      autoStart: false,
+      env: {},
+      shutdown: {
+        drainTimeout: 10000, // ms to wait after SIGTERM before SIGKILL
+        killTimeout: 5000
+      },
+      memory: {
+        maxOldSpaceSize: null, // MB, V8 heap limit (--max-old-space-size), null = Node default
+        maxRss: null, // MB, recycled when the process tree stays above it, null = no ceiling
+        sustainedPeriod: 120000 // ms above maxRss before recycling
+      },
+      security: {
+        maxRequests: 600, // per LAN client and minute, enforced by the proxy
+        enforceOrigin: false // refuse cross-site POST/PUT/DELETE requests (WebSockets are always checked)
+      },
+      probes: {
+        // Startup: ready after the first success, fails after failureThreshold attempts
+        readiness: {
+          path: '/',
+          method: 'GET',
+          expectedStatus: '200-499', // codes or ranges, e.g. "200-299,404"
+          bodyPattern: null, // optional regular expression the body must match
+          timeout: 3000,
+          initialDelay: 3000,
+          interval: 2000,
+          failureThreshold: 15
+        },
+        // Running: unhealthy after failureThreshold consecutive failures
+        liveness: {
+          path: '/',
+          method: 'GET',
+          expectedStatus: '200-499',
+          bodyPattern: null,
+          timeout: 4000,
+          initialDelay: 8000,
+          interval: 5000,
+          failureThreshold: 3
+        }
+      },
+      hooks: {
+        // { command, timeout } - shell commands or a .js script run with the server runtime
+        preStart: null, // a failure blocks the startup
+        postStart: null,
+        preStop: null,
+        postStop: null
+      },
+      buildWatch: {
+        enabled: false, // watch .next/BUILD_ID while the server runs
+        mode: 'prompt' // 'prompt' (notify) or 'auto' (zero-downtime restart)
+      },
+      schedule: {
+        enabled: false,
+        rules: [] // { action: 'start' | 'stop', cron: '30 7 * * 1-5' } in local time
+      },
+      restart: {
+        policy: 'on-failure', // 'never', 'on-failure' or 'always'
+        initialDelay: 1000, // backoff doubles after each restart
+        maxDelay: 60000,
+        maxRestarts: 5, // more restarts than this within window = crash-looping
+        window: 300000
+      },
+      ...overrides
+    };
+  }
+
+  /**
+   * Gets all server profiles as an array
+   */
+  getProfiles() {
+    const profiles = this.get('profiles', {}) || {};
+    return Object.entries(profiles).map(([id, profile]) => this.applyProfileDefaults(id, profile));
+  }
+
+  /**
+   * Gets a single server profile
+   */
+  getProfile(profileId) {
+    const profile = this.get(`profiles.${profileId}`);
+    return profile ? this.applyProfileDefaults(profileId, profile) : null;
+  }
+
+  /**
+   * Fills keys missing from a stored profile (nested sections included)
+   */
+  applyProfileDefaults(profileId, profile) {
+    const defaults = this.createProfile(profileId);
+    const result = { id: profileId, ...defaults, ...profile };
+
+    for (const [key, value] of Object.entries(defaults)) {
+      if (key !== 'env' && this.isPlainObject(value) && this.isPlainObject(profile[key])) {
+        result[key] = this.mergeSection(value, profile[key]);
+      }
+    }
+
+    return { ...result, ...this.runtimeOverrides.get(profileId) };
+  }
+
+  /**
+   * Overrides top-level profile values for this run without saving them
+   */
+  setRuntimeOverrides(profileId, values) {
+    const overrides = { ...this.runtimeOverrides.get(profileId), ...values };
+    this.runtimeOverrides.set(profileId, overrides);
+  }
+
+  /**
+   * Drops overrides of values that were saved explicitly
+   */
+  clearRuntimeOverrides(profileId, keys) {
+    const overrides = this.runtimeOverrides.get(profileId);
+    if (overrides) {
+      keys.forEach(key => delete overrides[key]);
+    }
+  }
+
+  /**
+   * Gets the values overridden for this run
+   */
+  getRuntimeOverrides(profileId) {
+    return { ...this.runtimeOverrides.get(profileId) };
+  }
+
+  mergeSection(defaults, stored) {
+    const result = { ...defaults, ...stored };
+    for (const [key, value] of Object.entries(defaults)) {
+      if (this.isPlainObject(value) && this.isPlainObject(stored[key])) {
+        result[key] = this.mergeSection(value, stored[key]);
+      }
+    }
+    return result;
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Creates or updates a server profile
+   */
+  async saveProfile(profileId, values) {
+    if (!ConfigManager.isValidProfileId(profileId)) {
+      throw new Error('Profile id may only contain letters, numbers, dashes and underscores');
+    }
+
+    const existing = this.get(`profiles.${profileId}`);
+    const { id, ...settings } = values || {};
+    const profile = existing
+      ? { ...existing, ...settings }
+      : this.createProfile(settings.name || profileId, settings);
+
+    await this.set(`profiles.${profileId}`, profile);
+
+    // Values saved explicitly replace those given on the command line
+    this.clearRuntimeOverrides(profileId, Object.keys(settings));
+    return this.getProfile(profileId);
+  }
+
+  /**
+   * Removes a server profile (the default profile cannot be removed)
+   */
+  async removeProfile(profileId) {
+    if (profileId === 'default') {
+      throw new Error('The default profile cannot be removed');
+    }
+
+    if (!this.config?.profiles?.[profileId]) {
+      return false;
+    }
+
+    delete this.config.profiles[profileId];
+    await this.saveConfig();
+    return true;
+  }
+
+  /**
+   * Checks that a profile id can be used as a config key
+   */
+  static isValidProfileId(profileId) {
+    return typeof profileId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(profileId);
+  }
+
   /**
    * Exports configuration
    */
@@ -202,7 +418,7 @@ class ConfigManager {
    */
   async importConfig(configString) {
     try {
-      const importedConfig = JSON.parse(configString);
+      const importedConfig = this.migrateLegacyServerConfig(JSON.parse(configString));
       const mergedConfig = this.mergeWithDefault(importedConfig);
       
       await this.saveConfig(mergedConfig);
@@ -216,6 +432,10 @@ class ConfigManager {
 
   // === PRIVATE METHODS ===
 
+  cloneDefaultConfig() {
+    return JSON.parse(JSON.stringify(this.defaultConfig));
+  }
+
   async fileExists(filePath) {
     try {
       await fs.access(filePath);
@@ -253,6 +473,25 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Converts the pre-profile "server" section into the default profile
+   */
+  migrateLegacyServerConfig(loadedConfig) {
+    if (!loadedConfig || loadedConfig.profiles || !loadedConfig.server) {
+      return loadedConfig;
+    }
+
+    const { server, ...rest } = loadedConfig;
+    console.log('🔄 Migrating legacy server settings to default profile');
+
+    return {
+      ...rest,
+      profiles: {
+        default: this.createProfile('Default', server)
+      }
+    };
+  }
+
   mergeWithDefault(loadedConfig) {
     const merge = (defaultObj, loadedObj) => {
       const result = { ...defaultObj };
@@ -277,15 +516,16 @@ class ConfigManager {
       return result;
     };
     
-    return merge(this.defaultConfig, loadedConfig);
+    return merge(this.cloneDefaultConfig(), loadedConfig);
   }
 
   validateConfig() {
     // Port validation
-    const port = this.get('server.port');
-    if (typeof port !== 'number' || port < 1024 || port > 65535) {
-      console.warn('⚠️ Invalid port, auto-correcting');
-      this.config.server.port = 8080;
+    for (const [profileId, profile] of Object.entries(this.config.profiles || {})) {
+      if (typeof profile.port !== 'number' || profile.port < 1024 || profile.port > 65535) {
+        console.warn('⚠️ Invalid port, auto-correcting', { profileId });
+        profile.port = 8080;
+      }
     }
     
     // Window validation
@@ -0,0 +1,229 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const STREAMS = ['stdout', 'stderr', 'system'];
+
+class ConsoleManager extends EventEmitter {
+  constructor(logManager, options = {}) {
+    super();
+    this.logManager = logManager;
+    this.consoleDir = options.consoleDir || path.join(app.getPath('userData'), 'logs', 'servers');
+    this.maxLines = options.maxLines || 2000; // ring buffer size per server
+    this.maxLineLength = options.maxLineLength || 8192;
+    this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024; // 5MB, then rotated once
+    this.buffers = new Map(); // profileId -> { lines, seq, file, fileSize, partial }
+  }
+
+  /**
+   * Creates the console log directory
+   */
+  initialize() {
+    fs.mkdirSync(this.consoleDir, { recursive: true });
+  }
+
+  /**
+   * Captures the stdout/stderr of a server child
+   */
+  attach(profileId, serverProcess) {
+    const key = (stream) => `${serverProcess.pid}:${stream}`;
+
+    for (const stream of ['stdout', 'stderr']) {
+      // Decodes UTF-8 across chunks: a character split between two reads is not mangled
+      serverProcess[stream]?.setEncoding('utf8');
+      serverProcess[stream]?.on('data', (data) => this.write(profileId, stream, data, serverProcess.pid));
+    }
+
+    this.system(profileId, `Process ${serverProcess.pid} started`, serverProcess.pid);
+
+    // 'close' fires once stdout/stderr are fully read
+    serverProcess.on('close', (code, signal) => {
+      // Output without a trailing newline would otherwise be lost
+      for (const stream of ['stdout', 'stderr']) {
+        this.flushPartial(profileId, stream, key(stream), serverProcess.pid);
+      }
+      const reason = signal ? `signal ${signal}` : `code ${code}`;
+      this.system(profileId, `Process ${serverProcess.pid} exited with ${reason}`, serverProcess.pid);
+    });
+  }
+
+  /**
+   * Adds a chunk of output; complete lines are buffered, logged to file and emitted
+   */
+  write(profileId, stream, data, pid = null) {
+    const buffer = this.getBuffer(profileId);
+    const partialKey = `${pid}:${stream}`;
+    const text = (buffer.partial.get(partialKey) || '') + data.toString();
+    const lines = text.split(/\r?\n/);
+
+    // The last element is an unfinished line (or '' after a newline)
+    let rest = lines.pop();
+    if (rest.length > this.maxLineLength) {
+      // Output without newlines (progress bars, minified dumps) is flushed in full chunks instead of growing forever
+      const chunks = this.splitLine(rest);
+      rest = chunks.pop();
+      lines.push(...chunks);
+    }
+    if (rest) {
+      buffer.partial.set(partialKey, rest);
+    } else {
+      buffer.partial.delete(partialKey);
+    }
+
+    this.append(profileId, stream, lines, pid);
+  }
+
+  /**
+   * Adds a line written by OxichStudio itself (start, exit...)
+   */
+  system(profileId, text, pid = null) {
+    this.append(profileId, 'system', [text], pid);
+  }
+
+  /**
+   * Gets buffered lines, optionally only those after a sequence number
+   */
+  getLines(profileId, { since = 0, limit = this.maxLines, stream = null } = {}) {
+    const buffer = this.buffers.get(profileId);
+    if (!buffer) {
+      return [];
+    }
+
+    const lines = buffer.lines.filter(line => line.seq > since && (!stream || line.stream === stream));
+    const count = Number.isFinite(limit) ? Math.min(Math.max(Math.trunc(limit), 1), this.maxLines) : this.maxLines;
+    return lines.slice(-count);
+  }
+
+  /**
+   * Empties the buffer of a server (the log file is kept)
+   * Sequence numbers keep counting so pollers using "since" see the next lines
+   */
+  clear(profileId) {
+    const buffer = this.buffers.get(profileId);
+    if (buffer) {
+      buffer.lines = [];
+    }
+    this.emit('cleared', { profileId });
+  }
+
+  /**
+   * Gets the on-disk console log of a server
+   */
+  getLogFile(profileId) {
+    return path.join(this.consoleDir, `${profileId}.log`);
+  }
+
+  /**
+   * Closes all open log files
+   */
+  closeAll() {
+    for (const buffer of this.buffers.values()) {
+      buffer.file?.end();
+      buffer.file = null;
+    }
+  }
+
+  // === PRIVATE METHODS ===
+
+  getBuffer(profileId) {
+    if (!this.buffers.has(profileId)) {
+      this.buffers.set(profileId, { lines: [], seq: 0, file: null, fileSize: 0, partial: new Map() });
+    }
+    return this.buffers.get(profileId);
+  }
+
+  append(profileId, stream, texts, pid) {
+    if (!STREAMS.includes(stream) || texts.length === 0) return;
+
+    const buffer = this.getBuffer(profileId);
+    // Over-long lines are kept in full, spread over several entries
+    const entries = texts.flatMap(text => this.splitLine(text)).map(text => ({
+      seq: ++buffer.seq,
+      timestamp: new Date().toISOString(),
+      stream,
+      pid,
+      text
+    }));
+
+    buffer.lines.push(...entries);
+    if (buffer.lines.length > this.maxLines) {
+      buffer.lines.splice(0, buffer.lines.length - this.maxLines);
+    }
+
+    this.writeToFile(profileId, buffer, entries);
+    this.emit('output', { profileId, lines: entries });
+  }
+
+  splitLine(text) {
+    const chunks = [];
+    let start = 0;
+    do {
+      let end = Math.min(start + this.maxLineLength, text.length);
+      // Never cut a surrogate pair (emoji...) in two
+      const code = text.charCodeAt(end - 1);
+      if (end < text.length && end - 1 > start && code >= 0xD800 && code <= 0xDBFF) {
+        end--;
+      }
+      chunks.push(text.slice(start, end));
+      start = end;
+    } while (start < text.length);
+    return chunks;
+  }
+
+  flushPartial(profileId, stream, partialKey, pid) {
+    const buffer = this.buffers.get(profileId);
+    const rest = buffer?.partial.get(partialKey);
+    if (rest) {
+      buffer.partial.delete(partialKey);
+      this.append(profileId, stream, [rest], pid);
+    }
+  }
+
+  writeToFile(profileId, buffer, entries) {
+    try {
+      if (!buffer.file) {
+        this.openFile(profileId, buffer);
+      }
+
+      const chunk = entries.map(entry => `[${entry.timestamp}] [${entry.stream}] ${entry.text}\n`).join('');
+      buffer.file.write(chunk);
+      buffer.fileSize += Buffer.byteLength(chunk);
+
+      // Closed now, rotated when the next line reopens it
+      if (buffer.fileSize >= this.maxFileSize) {
+        buffer.file.end();
+        buffer.file = null;
+      }
+    } catch (error) {
+      this.logManager?.warn('Server console log write failed', { profileId, error: error.message });
+    }
+  }
+
+  openFile(profileId, buffer) {
+    const filePath = this.getLogFile(profileId);
+    buffer.fileSize = fs.existsSync(filePath) ? Math.max(fs.statSync(filePath).size, buffer.fileSize) : 0;
+
+    if (buffer.fileSize >= this.maxFileSize) {
+      try {
+        fs.renameSync(filePath, path.join(this.consoleDir, `${profileId}.1.log`));
+        buffer.fileSize = 0;
+      } catch (error) {
+        this.logManager?.warn('Server console log rotation failed', { profileId, error: error.message });
+      }
+    }
+
+    const file = fs.createWriteStream(filePath, { flags: 'a' });
+    file.on('error', (error) => {
+      this.logManager?.warn('Server console log write failed', { profileId, error: error.message });
+      if (buffer.file === file) {
+        buffer.file = null;
+      }
+    });
+    buffer.file = file;
+  }
+}
+
+ConsoleManager.STREAMS = STREAMS;
+
+module.exports = ConsoleManager;
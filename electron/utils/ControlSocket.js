@@ -0,0 +1,180 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SOCKET_NAME = 'oxichstudio.sock';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // 1MB per request line
+
+// IPC channels reachable from the command-line client (exactly those oxichstudio-ctl uses)
+const ALLOWED_CHANNELS = new Set([
+  'profiles:list',
+  'server:get-status',
+  'server:start',
+  'server:stop',
+  'server:restart',
+  'server:get-output',
+  'logs:get-recent',
+  'config:get',
+  'config:set'
+]);
+
+class ControlSocket {
+  /**
+   * options: { socketPath, invoke(channel, ...args) }
+   */
+  constructor(logManager, options = {}) {
+    this.logManager = logManager;
+    this.socketPath = options.socketPath;
+    this.invoke = options.invoke;
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  /**
+   * Gets the socket path of a userData directory
+   * Windows has no Unix sockets: a named pipe unique to the directory is used instead.
+   */
+  static getSocketPath(userDataDir) {
+    if (process.platform === 'win32') {
+      const hash = crypto.createHash('sha256').update(userDataDir.toLowerCase()).digest('hex').slice(0, 16);
+      return `\\\\.\\pipe\\oxichstudio-${hash}`;
+    }
+    return path.join(userDataDir, SOCKET_NAME);
+  }
+
+  /**
+   * Listens on the socket, readable and writable by the current user only
+   */
+  start() {
+    if (this.server) {
+      return Promise.reject(new Error('Control socket is already listening'));
+    }
+
+    // Only one instance runs (single-instance lock): a socket file left here is stale
+    if (process.platform !== 'win32' && fs.existsSync(this.socketPath)) {
+      fs.unlinkSync(this.socketPath);
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      const onError = (error) => {
+        this.server = null;
+        reject(error);
+      };
+      this.server.once('error', onError);
+
+      // The socket is created with these permissions: no window where others could connect
+      const previousUmask = process.platform !== 'win32' ? process.umask(0o177) : null;
+      try {
+        this.server.listen(this.socketPath, () => {
+          this.server.removeListener('error', onError);
+          this.server.on('error', (error) => {
+            this.logManager?.error('Control socket error', { error: error.message });
+          });
+
+          if (process.platform !== 'win32') {
+            fs.chmodSync(this.socketPath, 0o600);
+          }
+          this.logManager?.info('Control socket listening', { path: this.socketPath });
+          resolve();
+        });
+      } finally {
+        if (previousUmask !== null) {
+          process.umask(previousUmask);
+        }
+      }
+    });
+  }
+
+  /**
+   * Closes the socket and its connections
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      for (const client of this.clients) {
+        client.destroy();
+      }
+      this.clients.clear();
+    });
+
+    if (process.platform !== 'win32') {
+      fs.rmSync(this.socketPath, { force: true });
+    }
+    this.logManager?.info('Control socket closed', { path: this.socketPath });
+  }
+
+  // === PRIVATE METHODS ===
+
+  // Newline-delimited JSON: { id, channel, args } -> { id, success, result | error }
+  handleConnection(socket) {
+    this.clients.add(socket);
+    socket.setEncoding('utf8');
+
+    let buffered = '';
+    socket.on('data', (data) => {
+      buffered += data;
+      if (buffered.length > MAX_MESSAGE_SIZE && !buffered.includes('\n')) {
+        this.send(socket, { id: null, success: false, error: 'Request too large' });
+        socket.destroy();
+        return;
+      }
+
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) {
+          this.handleMessage(socket, line);
+        }
+      }
+    });
+
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.clients.delete(socket));
+  }
+
+  async handleMessage(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch {
+      this.send(socket, { id: null, success: false, error: 'Invalid JSON request' });
+      return;
+    }
+
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      this.send(socket, { id: null, success: false, error: 'Invalid request' });
+      return;
+    }
+
+    const { id = null, channel, args = [] } = request;
+    if (typeof channel !== 'string' || !ALLOWED_CHANNELS.has(channel) || !Array.isArray(args)) {
+      this.send(socket, { id, success: false, error: `Channel not available: ${channel}` });
+      return;
+    }
+
+    try {
+      const result = await this.invoke(channel, ...args);
+      this.send(socket, { id, success: true, result: result ?? null });
+    } catch (error) {
+      this.send(socket, { id, success: false, error: error.message });
+    }
+  }
+
+  send(socket, message) {
+    if (!socket.destroyed) {
+      socket.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+}
+
+ControlSocket.SOCKET_NAME = SOCKET_NAME;
+
+module.exports = ControlSocket;
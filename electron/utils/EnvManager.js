@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+
+// Loaded in this order, later files override earlier ones
+const ENV_FILES = ['.env', '.env.production'];
+
+// Variables OxichStudio always sets itself
+const RESERVED_KEYS = ['PORT', 'HOSTNAME', 'NODE_ENV', 'NEXT_TELEMETRY_DISABLED'];
+
+const SECRET_KEY_PATTERN = /(SECRET|PASSWORD|PASSWD|PWD|TOKEN|API_?KEY|PRIVATE|CREDENTIAL|AUTH|SALT|DSN)/i;
+const URL_CREDENTIALS_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:[^/\s@]+@/i;
+// Longest quoted value spanning several lines; an unterminated quote stops there
+const MAX_MULTILINE_VALUE = 64 * 1024;
+
+class EnvManager {
+  constructor(logManager) {
+    this.logManager = logManager;
+  }
+
+  /**
+   * Builds the environment of a server child.
+   * Precedence (lowest to highest): system environment, .env, .env.production,
+   * profile variables, variables managed by OxichStudio.
+   */
+  buildEnvironment(profile, directory, managed = {}) {
+    const layers = this.getLayers(profile, directory, managed);
+    const env = {};
+
+    for (const layer of layers) {
+      Object.assign(env, layer.vars);
+    }
+
+    return { env, files: layers.filter(layer => layer.file).map(layer => layer.file) };
+  }
+
+  /**
+   * Describes the effective environment without the system layer,
+   * with the source of every value and secrets masked
+   */
+  describeEnvironment(profile, directory, managed = {}) {
+    const layers = this.getLayers(profile, directory, managed);
+    const variables = new Map();
+
+    for (const layer of layers) {
+      for (const [key, value] of Object.entries(layer.vars)) {
+        const overridden = variables.get(key);
+        if (layer.source === 'system') {
+          continue; // Only shown when another layer overrides it
+        }
+
+        variables.set(key, {
+          key,
+          value: this.isSecret(key, value) ? this.maskValue(value) : value,
+          secret: this.isSecret(key, value),
+          source: layer.source,
+          overrides: overridden ? overridden.source : (key in process.env ? 'system' : null)
+        });
+      }
+    }
+
+    return {
+      variables: [...variables.values()].sort((a, b) => a.key.localeCompare(b.key)),
+      files: layers.filter(layer => layer.file).map(layer => layer.file),
+      directory
+    };
+  }
+
+  /**
+   * Parses the content of a .env file
+   */
+  parseEnvFile(content) {
+    const vars = {};
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+      if (!match) continue; // Comments, blank and malformed lines
+
+      const key = match[1];
+      let value = match[2];
+      const quote = value[0];
+
+      if (quote === '"' || quote === "'" || quote === '`') {
+        // Quoted values may span several lines
+        const firstLine = i;
+        let raw = value.slice(1);
+        while (!this.hasClosingQuote(raw, quote) && i + 1 < lines.length && raw.length < MAX_MULTILINE_VALUE) {
+          raw += `\n${lines[++i]}`;
+        }
+        let end = this.closingQuoteIndex(raw, quote);
+        if (end === -1) {
+          // Unterminated quote (end of file or size cap): keep its first line, parse the following ones
+          i = firstLine;
+          raw = value.slice(1);
+          end = this.closingQuoteIndex(raw, quote);
+        }
+        value = end === -1 ? raw : raw.slice(0, end);
+
+        if (quote === '"') {
+          value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r').replace(/\\t/g, '\t').replace(/\\"/g, '"');
+        }
+      } else {
+        // Unquoted: strip inline comments and surrounding spaces
+        value = value.replace(/\s+#.*$/, '').trim();
+      }
+
+      vars[key] = value;
+    }
+
+    return vars;
+  }
+
+  /**
+   * Validates variables edited in the control panel
+   */
+  validateVariables(vars) {
+    if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+      throw new Error('Environment variables must be an object of key/value pairs');
+    }
+
+    for (const [key, value] of Object.entries(vars)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        throw new Error(`Invalid environment variable name: ${key}`);
+      }
+      if (RESERVED_KEYS.includes(key)) {
+        throw new Error(`${key} is managed by OxichStudio and cannot be set`);
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`Value of ${key} must be a string`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks if a variable holds a secret
+   */
+  isSecret(key, value = '') {
+    return SECRET_KEY_PATTERN.test(key) || URL_CREDENTIALS_PATTERN.test(String(value));
+  }
+
+  /**
+   * Masks a secret value, keeping the scheme and host of URLs readable
+   */
+  maskValue(value) {
+    const stringValue = String(value);
+    if (URL_CREDENTIALS_PATTERN.test(stringValue)) {
+      return stringValue.replace(/^([a-z][a-z0-9+.-]*:\/\/)[^@]+@/i, '$1••••••@');
+    }
+    return stringValue.length > 0 ? '••••••••' : '';
+  }
+
+  // === PRIVATE METHODS ===
+
+  getLayers(profile, directory, managed) {
+    const layers = [{ source: 'system', vars: { ...process.env } }];
+
+    for (const fileName of ENV_FILES) {
+      const filePath = directory ? path.join(directory, fileName) : null;
+      const vars = filePath ? this.readEnvFile(filePath) : null;
+      if (vars) {
+        layers.push({ source: fileName, file: filePath, vars });
+      }
+    }
+
+    layers.push({ source: 'profile', vars: { ...(profile.env || {}) } });
+    layers.push({ source: 'oxichstudio', vars: managed });
+
+    return layers;
+  }
+
+  readEnvFile(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return this.parseEnvFile(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.logManager?.warn('Failed to read env file', { path: filePath, error: error.message });
+      return null;
+    }
+  }
+
+  hasClosingQuote(raw, quote) {
+    return this.closingQuoteIndex(raw, quote) !== -1;
+  }
+
+  closingQuoteIndex(raw, quote) {
+    for (let i = 0; i < raw.length; i++) {
+      if (raw[i] === '\\' && quote === '"') {
+        i++;
+        continue;
+      }
+      if (raw[i] === quote) {
+        return i;
+      }
+    }
+    return -1;
+  }
+}
+
+EnvManager.ENV_FILES = ENV_FILES;
+EnvManager.RESERVED_KEYS = RESERVED_KEYS;
+
+module.exports = EnvManager;
@@ -319,15 +319,17 @@ class ErrorHandler extends EventEmitter {
    */
   async recoverFromPortError(errorInfo) {
     if (this.networkManager && this.configManager) {
-      // Find alternative port
-      const currentPort = this.configManager.get('server.port', 8080);
+      // Find alternative port for the profile the error belongs to
+      const profileId = errorInfo.context?.profileId || 'default';
+      const currentPort = this.configManager.get(`profiles.${profileId}.port`, 8080);
       const suggestions = await this.networkManager.suggestAlternativePorts(currentPort, 1);
       
       if (suggestions.length > 0) {
         const newPort = suggestions[0];
-        await this.configManager.set('server.port', newPort);
+        await this.configManager.set(`profiles.${profileId}.port`, newPort);
         
         this.emit('port-changed-automatically', { 
+          profileId,
           oldPort: currentPort, 
           newPort: newPort,
           reason: 'Port conflict resolution'
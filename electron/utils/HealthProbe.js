@@ -0,0 +1,153 @@
+const http = require('http');
+
+// Smallest accepted value of each timing setting (ms, or attempts for failureThreshold)
+const MINIMUMS = {
+  timeout: 100,
+  initialDelay: 0,
+  interval: 100,
+  failureThreshold: 1
+};
+
+class HealthProbe {
+  constructor(definition = {}) {
+    this.path = definition.path || '/';
+    this.method = (definition.method || 'GET').toUpperCase();
+    this.expectedStatus = definition.expectedStatus || '200-499';
+    this.statusRanges = HealthProbe.parseStatusRanges(this.expectedStatus);
+    this.bodyPattern = definition.bodyPattern ? new RegExp(definition.bodyPattern) : null;
+    // Settings saved before validation existed may be below the minimums
+    this.timeout = Math.max(definition.timeout ?? 3000, MINIMUMS.timeout);
+    this.initialDelay = definition.initialDelay ?? 0;
+    this.interval = Math.max(definition.interval ?? 5000, MINIMUMS.interval);
+    this.failureThreshold = definition.failureThreshold ?? 3;
+  }
+
+  /**
+   * Probes a server once
+   * Resolves with { healthy, statusCode, responseTime, error }
+   */
+  check(port, hostname = '127.0.0.1') {
+    const startTime = Date.now();
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        resolve({ responseTime: Date.now() - startTime, statusCode: null, error: null, ...result });
+      };
+
+      const req = http.request({
+        hostname,
+        port,
+        path: this.path,
+        method: this.method,
+        timeout: this.timeout,
+        headers: { 'User-Agent': 'OxichStudio-HealthProbe' }
+      }, (res) => {
+        const statusCode = res.statusCode;
+
+        if (!this.isExpectedStatus(statusCode)) {
+          res.resume();
+          finish({ healthy: false, statusCode, error: `Unexpected status ${statusCode} (expected ${this.expectedStatus})` });
+          return;
+        }
+
+        if (!this.bodyPattern || this.method === 'HEAD') {
+          res.resume();
+          finish({ healthy: true, statusCode });
+          return;
+        }
+
+        // Read at most 64 KB of body for the pattern
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          if (body.length < 65536) {
+            body += chunk;
+          }
+        });
+        res.on('end', () => {
+          const matched = this.bodyPattern.test(body);
+          finish({
+            healthy: matched,
+            statusCode,
+            error: matched ? null : `Response body does not match ${this.bodyPattern}`
+          });
+        });
+        res.on('error', (error) => finish({ healthy: false, statusCode, error: error.message }));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        finish({ healthy: false, error: `Timeout after ${this.timeout}ms` });
+      });
+
+      req.on('error', (error) => {
+        finish({ healthy: false, error: error.code || error.message });
+      });
+
+      req.end();
+    });
+  }
+
+  /**
+   * Checks a status code against the expected ranges
+   */
+  isExpectedStatus(statusCode) {
+    return this.statusRanges.some(([min, max]) => statusCode >= min && statusCode <= max);
+  }
+
+  /**
+   * Parses "200-399", "200" or "200-299,404" into [min, max] pairs
+   */
+  static parseStatusRanges(expression) {
+    const ranges = String(expression).split(',').map(part => {
+      const [min, max = min] = part.trim().split('-').map(value => parseInt(value.trim(), 10));
+      return [min, max];
+    });
+
+    if (ranges.some(([min, max]) => isNaN(min) || isNaN(max) || min < 100 || max > 599 || min > max)) {
+      throw new Error(`Invalid expected status "${expression}". Use codes or ranges like 200-399,404`);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Validates a probe definition from the configuration
+   */
+  static validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Probe definition must be an object');
+    }
+    if (definition.path !== undefined && (typeof definition.path !== 'string' || !definition.path.startsWith('/'))) {
+      throw new Error('Probe path must start with "/"');
+    }
+    if (definition.method !== undefined && !['GET', 'HEAD'].includes(String(definition.method).toUpperCase())) {
+      throw new Error('Probe method must be GET or HEAD');
+    }
+    if (definition.expectedStatus !== undefined) {
+      HealthProbe.parseStatusRanges(definition.expectedStatus);
+    }
+    if (definition.bodyPattern) {
+      try {
+        new RegExp(definition.bodyPattern);
+      } catch (error) {
+        throw new Error(`Invalid probe body pattern: ${error.message}`);
+      }
+    }
+    // 0 would poll in a tight loop (interval) or never time out (timeout)
+    for (const [key, minimum] of Object.entries(MINIMUMS)) {
+      if (definition[key] === undefined) continue;
+      if (!Number.isInteger(definition[key]) || definition[key] < minimum) {
+        throw new Error(minimum === 0
+          ? `Probe ${key} must be a whole number (0 or more)`
+          : `Probe ${key} must be a whole number of at least ${minimum}`);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = HealthProbe;
@@ -0,0 +1,130 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+const HOOKS = ['preStart', 'postStart', 'preStop', 'postStop'];
+const NODE_SCRIPT_PATTERN = /\.(c|m)?js$/i;
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+class HookManager {
+  constructor(logManager, processManager) {
+    this.logManager = logManager;
+    this.processManager = processManager;
+    this.defaultTimeout = 60000; // 1 minute
+  }
+
+  /**
+   * Runs a lifecycle hook of a profile and logs its output
+   * context: { cwd, env, runtime } - runtime (from RuntimeManager) runs .js hooks.
+   * Resolves with { success, skipped, code, signal, duration, output, error }.
+   */
+  async run(profileId, name, hook, context = {}) {
+    if (!hook || !hook.command) {
+      return { success: true, skipped: true };
+    }
+
+    const timeout = hook.timeout ?? this.defaultTimeout;
+    const startTime = Date.now();
+    const { command, args, shell } = this.resolveCommand(hook.command, context);
+
+    await this.logManager?.info(`Running ${name} hook`, { profileId, hook: name, command: hook.command, timeout });
+
+    const result = await new Promise((resolve) => {
+      let output = '';
+      let timedOut = false;
+      let settled = false;
+
+      const child = spawn(command, args, {
+        cwd: context.cwd,
+        env: { ...(context.env || process.env), OXICHSTUDIO_HOOK: name },
+        shell,
+        // Own process group, so a timeout also stops what the shell started
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true
+      });
+
+      const capture = (data) => {
+        if (output.length < MAX_OUTPUT_LENGTH) {
+          output += data.toString();
+        }
+      };
+      child.stdout.on('data', capture);
+      child.stderr.on('data', capture);
+
+      const finish = (values) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ output: output.slice(0, MAX_OUTPUT_LENGTH).trim(), duration: Date.now() - startTime, ...values });
+      };
+
+      const timer = setTimeout(async () => {
+        timedOut = true;
+        await this.processManager.terminate(child, { drainTimeout: 2000, killTimeout: 2000, processGroup: true });
+        finish({ success: false, code: null, signal: 'SIGTERM', error: `Timed out after ${Math.round(timeout / 1000)}s` });
+      }, timeout);
+
+      child.on('error', (error) => {
+        finish({ success: false, code: null, signal: null, error: error.code === 'ENOENT' ? `Command not found: ${command}` : error.message });
+      });
+
+      child.on('close', (code, signal) => {
+        if (timedOut) return;
+        finish({
+          success: code === 0,
+          code,
+          signal,
+          error: code === 0 ? null : (signal ? `Killed by ${signal}` : `Exited with code ${code}`)
+        });
+      });
+    });
+
+    const metadata = { profileId, hook: name, code: result.code, signal: result.signal, duration: result.duration, output: result.output };
+    if (result.success) {
+      await this.logManager?.info(`${name} hook completed`, metadata);
+    } else {
+      await this.logManager?.warn(`${name} hook failed`, { ...metadata, error: result.error });
+    }
+
+    return { skipped: false, ...result };
+  }
+
+  /**
+   * Validates the hooks section of a profile
+   */
+  static validate(hooks) {
+    if (!hooks || typeof hooks !== 'object') {
+      throw new Error('Hooks must be an object');
+    }
+
+    for (const [name, hook] of Object.entries(hooks)) {
+      if (!HOOKS.includes(name)) {
+        throw new Error(`Unknown hook "${name}". Use: ${HOOKS.join(', ')}`);
+      }
+      if (hook === null) continue;
+      if (typeof hook !== 'object' || (hook.command !== null && typeof hook.command !== 'string')) {
+        throw new Error(`The ${name} hook must have a command`);
+      }
+      if (hook.timeout !== undefined && (!Number.isInteger(hook.timeout) || hook.timeout < 1000)) {
+        throw new Error(`The ${name} hook timeout must be at least 1000 ms`);
+      }
+    }
+    return true;
+  }
+
+  // === PRIVATE METHODS ===
+
+  // Node scripts run with the server's runtime, anything else through the shell
+  resolveCommand(command, context) {
+    const trimmed = command.trim();
+    if (NODE_SCRIPT_PATTERN.test(trimmed) && !/\s/.test(trimmed)) {
+      const scriptPath = path.resolve(context.cwd || process.cwd(), trimmed);
+      return { command: context.runtime?.command || 'node', args: [scriptPath], shell: false };
+    }
+    return { command: trimmed, args: [], shell: true };
+  }
+}
+
+HookManager.HOOKS = HOOKS;
+
+module.exports = HookManager;
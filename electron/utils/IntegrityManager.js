@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'integrity.json';
+const SIGNATURE_FILE = 'integrity.json.sig';
+const ALGORITHM = 'sha256';
+
+// Files written while the server runs (Next.js cache and regenerated ISR pages) are not part of the build
+const EXCLUDED = [
+  /^integrity\.json(\.sig)?$/,
+  /^bundle\.json$/,
+  /^\.next\/cache\//,
+  /^\.next\/server\/(app|pages)\/.*\.(html|rsc|meta|body|json)$/
+];
+
+class IntegrityManager {
+  /**
+   * Builds the SHA-256 manifest of a standalone directory (run at build time)
+   */
+  static async generate(rootDir) {
+    const files = {};
+    for (const relativePath of await IntegrityManager.listFiles(rootDir)) {
+      files[relativePath] = await IntegrityManager.hashFile(path.join(rootDir, relativePath));
+    }
+
+    let buildId = null;
+    try {
+      buildId = fs.readFileSync(path.join(rootDir, '.next', 'BUILD_ID'), 'utf8').trim() || null;
+    } catch {
+      // Not a Next.js build
+    }
+
+    return {
+      version: 1,
+      algorithm: ALGORITHM,
+      generatedAt: new Date().toISOString(),
+      buildId,
+      files
+    };
+  }
+
+  /**
+   * Signs manifest bytes with a private key (PEM); Ed25519 and RSA keys are supported
+   */
+  static sign(data, privateKeyPem) {
+    const key = crypto.createPrivateKey(privateKeyPem);
+    return crypto.sign(IntegrityManager.digestFor(key), data, key).toString('base64');
+  }
+
+  /**
+   * Checks a standalone directory against its manifest
+   * options: { publicKey: PEM text (signature required when set), requireManifest }
+   * Returns { status: 'verified' | 'failed' | 'no-manifest', verified, missing, modified, fileCount, signature, duration }.
+   */
+  static async verify(rootDir, { publicKey = null, requireManifest = false } = {}) {
+    const startedAt = Date.now();
+    const report = {
+      status: 'verified',
+      verified: true,
+      missing: [],
+      modified: [],
+      fileCount: 0,
+      buildId: null,
+      signature: publicKey ? 'missing' : 'not-checked', // 'valid', 'invalid', 'missing' or 'not-checked'
+      error: null,
+      duration: 0
+    };
+
+    let data;
+    try {
+      data = fs.readFileSync(path.join(rootDir, MANIFEST_FILE));
+    } catch {
+      report.status = 'no-manifest';
+      report.verified = !requireManifest && !publicKey;
+      report.error = report.verified ? null : `${MANIFEST_FILE} not found`;
+      return report;
+    }
+
+    if (publicKey) {
+      report.signature = IntegrityManager.checkSignature(rootDir, data, publicKey);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(data.toString('utf8'));
+      if (manifest.algorithm !== ALGORITHM || !manifest.files || typeof manifest.files !== 'object') {
+        throw new Error(`unsupported manifest (algorithm ${manifest.algorithm})`);
+      }
+    } catch (error) {
+      return { ...report, status: 'failed', verified: false, error: `Invalid ${MANIFEST_FILE}: ${error.message}`, duration: Date.now() - startedAt };
+    }
+
+    report.buildId = manifest.buildId || null;
+    for (const [relativePath, expected] of Object.entries(manifest.files)) {
+      const filePath = path.resolve(rootDir, relativePath);
+      // Manifest entries cannot point outside the directory
+      if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+        report.modified.push(relativePath);
+        continue;
+      }
+
+      report.fileCount++;
+      let actual;
+      try {
+        actual = await IntegrityManager.hashFile(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+          report.missing.push(relativePath);
+        } else {
+          report.modified.push(relativePath); // Unreadable (e.g. locked by an antivirus)
+        }
+        continue;
+      }
+      if (actual !== expected) {
+        report.modified.push(relativePath);
+      }
+    }
+
+    const signatureFailed = publicKey && report.signature !== 'valid';
+    if (report.missing.length > 0 || report.modified.length > 0 || signatureFailed) {
+      report.status = 'failed';
+      report.verified = false;
+    }
+    report.duration = Date.now() - startedAt;
+    return report;
+  }
+
+  /**
+   * Summarizes a failed report in one sentence, listing the first files
+   */
+  static describe(report, maxFiles = 5) {
+    if (report.status === 'no-manifest') {
+      return `No integrity manifest (${MANIFEST_FILE}) was found.`;
+    }
+    if (report.error) {
+      return report.error;
+    }
+
+    const parts = [];
+    const list = (files) => files.slice(0, maxFiles).join(', ') + (files.length > maxFiles ? `, +${files.length - maxFiles} more` : '');
+    if (report.missing.length > 0) {
+      parts.push(`${report.missing.length} missing (${list(report.missing)})`);
+    }
+    if (report.modified.length > 0) {
+      parts.push(`${report.modified.length} modified (${list(report.modified)})`);
+    }
+    if (report.signature === 'invalid') {
+      parts.push('manifest signature is invalid');
+    } else if (report.signature === 'missing') {
+      parts.push(`manifest signature (${SIGNATURE_FILE}) is missing`);
+    }
+    return parts.length > 0 ? `${parts.join('; ')}.` : `All ${report.fileCount} files match the manifest.`;
+  }
+
+  // === PRIVATE METHODS ===
+
+  static async listFiles(rootDir) {
+    const files = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+        if (EXCLUDED.some(pattern => pattern.test(relativePath))) continue;
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(relativePath);
+        }
+      }
+    };
+    await walk(rootDir);
+    return files.sort();
+  }
+
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(ALGORITHM);
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  static checkSignature(rootDir, data, publicKeyPem) {
+    let signature;
+    try {
+      signature = Buffer.from(fs.readFileSync(path.join(rootDir, SIGNATURE_FILE), 'utf8').trim(), 'base64');
+    } catch {
+      return 'missing';
+    }
+
+    try {
+      const key = crypto.createPublicKey(publicKeyPem);
+      return crypto.verify(IntegrityManager.digestFor(key), data, key, signature) ? 'valid' : 'invalid';
+    } catch {
+      return 'invalid';
+    }
+  }
+
+  // Ed25519/Ed448 sign the data itself, other keys a SHA-256 digest
+  static digestFor(key) {
+    return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+  }
+}
+
+IntegrityManager.MANIFEST_FILE = MANIFEST_FILE;
+IntegrityManager.SIGNATURE_FILE = SIGNATURE_FILE;
+
+module.exports = IntegrityManager;
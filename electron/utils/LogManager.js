@@ -17,6 +17,7 @@ class LogManager {
     };
     this.logHistory = [];
     this.maxHistorySize = 1000;
+    this.stdout = false; // also print entries to stdout (headless mode)
   }
 
   /**
@@ -53,6 +54,13 @@ class LogManager {
     }
   }
 
+  /**
+   * Mirrors log entries to stdout
+   */
+  setStdout(enabled) {
+    this.stdout = Boolean(enabled);
+  }
+
   /**
    * Gets current log level
    */
@@ -120,6 +128,9 @@ class LogManager {
 
       // Write to file
       const logLine = this.formatLogEntry(logEntry);
+      if (this.stdout) {
+        process.stdout.write(logLine + '\n');
+      }
       await fs.appendFile(this.currentLogFile, logLine + '\n', 'utf8');
 
     } catch (error) {
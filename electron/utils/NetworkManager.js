@@ -94,41 +94,25 @@ class NetworkManager {
 
   /**
    * Detects main local IP address (private network)
+   * With ipv6, IPv6 addresses are used when there is no private IPv4 address: unique local first, then global.
    */
-  getLocalIPAddress() {
+  getLocalIPAddress({ ipv6 = false } = {}) {
     try {
-      const interfaces = os.networkInterfaces();
-      
       // Priority to Ethernet/WiFi interfaces
       const priorityInterfaces = ['Ethernet', 'Wi-Fi', 'en0', 'eth0', 'wlan0'];
       
-      // First, search in priority interfaces
-      for (const interfaceName of priorityInterfaces) {
-        const interfaceInfo = interfaces[interfaceName];
-        if (interfaceInfo) {
-          for (const alias of interfaceInfo) {
-            if (alias.family === 'IPv4' && !alias.internal && this.isPrivateIP(alias.address)) {
-              this.localIP = alias.address;
-              return alias.address;
-            }
-          }
-        }
-      }
+      const candidates = this.getAllLocalIPs({ ipv6 })
+        .map((ip, index) => ({ ...ip, rank: this.rankAddress(ip), index }))
+        .filter(ip => ip.rank !== null)
+        .sort((a, b) =>
+          a.rank - b.rank ||
+          Number(!priorityInterfaces.includes(a.interface)) - Number(!priorityInterfaces.includes(b.interface)) ||
+          a.index - b.index
+        );
       
-      // Fallback: search in all interfaces (private IPs only)
-      for (const interfaceName in interfaces) {
-        const interfaceInfo = interfaces[interfaceName];
-        for (const alias of interfaceInfo) {
-          if (alias.family === 'IPv4' && !alias.internal && this.isPrivateIP(alias.address)) {
-            this.localIP = alias.address;
-            return alias.address;
-          }
-        }
-      }
-      
-      // Last resort
-      this.localIP = '127.0.0.1';
-      return '127.0.0.1';
+      // Last resort: loopback
+      this.localIP = candidates[0]?.address || '127.0.0.1';
+      return this.localIP;
       
     } catch (error) {
       console.error('❌ Local IP detection error:', error);
@@ -137,10 +121,21 @@ class NetworkManager {
     }
   }
 
+  /**
+   * Detects the IPv6 address to advertise (unique local first, then global), null when there is none
+   */
+  getLocalIPv6Address() {
+    const addresses = this.getAllLocalIPs().filter(ip => ip.family === 'IPv6');
+    const preferred = addresses.find(ip => ip.scope === 'unique-local') || addresses.find(ip => ip.scope === 'global');
+    return preferred?.address || null;
+  }
+
   /**
    * Gets all local IP addresses
+   * Each entry: { interface, address, netmask, family: 'IPv4' | 'IPv6', scope, cidr }
+   * scope: 'private', 'link-local', 'unique-local' or 'global' (see classifyIP).
    */
-  getAllLocalIPs() {
+  getAllLocalIPs({ ipv6 = true } = {}) {
     try {
       const interfaces = os.networkInterfaces();
       const ips = [];
@@ -148,13 +143,20 @@ class NetworkManager {
       for (const interfaceName in interfaces) {
         const interfaceInfo = interfaces[interfaceName];
         for (const alias of interfaceInfo) {
-          if (alias.family === 'IPv4' && !alias.internal) {
-            ips.push({
-              interface: interfaceName,
-              address: alias.address,
-              netmask: alias.netmask
-            });
-          }
+          const family = this.getFamily(alias);
+          if (alias.internal || (family === 'IPv6' && !ipv6)) continue;
+          if (family !== 'IPv4' && family !== 'IPv6') continue;
+          
+          ips.push({
+            interface: interfaceName,
+            address: alias.address,
+            netmask: alias.netmask,
+            family,
+            scope: this.classifyIP(alias.address),
+            cidr: alias.cidr || null,
+            // Link-local IPv6 addresses are only reachable through their interface
+            ...(family === 'IPv6' && alias.scopeid ? { scopeid: alias.scopeid } : {})
+          });
         }
       }
       
@@ -219,19 +221,65 @@ class NetworkManager {
 
   /**
    * Generates access URLs for local and network
+   * With ipv6 (server listening on ::), the IPv6 URL is added and IPv6 addresses may be used for the network URL.
+   * With a specific bindAddress, every URL uses it: the server is not reachable on other addresses.
    */
-  generateAccessUrls(port, enableLan = false) {
-    const localIP = this.getLocalIPAddress();
+  generateAccessUrls(port, enableLan = false, { ipv6 = false, bindAddress = null } = {}) {
+    if (enableLan && this.isSpecificAddress(bindAddress)) {
+      const url = this.formatUrl(bindAddress, port);
+      return { local: url, localIP: url, network: url, ipv6: null };
+    }
+    
+    const localIP = this.getLocalIPAddress({ ipv6 });
+    const ipv6Address = ipv6 ? this.getLocalIPv6Address() : null;
     
     const urls = {
       local: `http://127.0.0.1:${port}`,
-      localIP: `http://${localIP}:${port}`,
-      network: enableLan ? `http://${localIP}:${port}` : null
+      localIP: this.formatUrl(localIP, port),
+      network: enableLan ? this.formatUrl(localIP, port) : null,
+      ipv6: enableLan && ipv6Address ? this.formatUrl(ipv6Address, port) : null
     };
     
     return urls;
   }
 
+  /**
+   * Formats an address for a URL host: IPv6 addresses are bracketed, zone ids escaped
+   */
+  formatHost(address) {
+    if (net.isIPv6(address.split('%')[0])) {
+      return `[${address.replace('%', '%25')}]`;
+    }
+    return address;
+  }
+
+  /**
+   * Builds the http URL of an address and port
+   */
+  formatUrl(address, port) {
+    return `http://${this.formatHost(address)}:${port}`;
+  }
+
+  /**
+   * Checks if an address designates one interface (not loopback nor a wildcard such as 0.0.0.0 or ::)
+   */
+  isSpecificAddress(address) {
+    if (typeof address !== 'string' || !net.isIP(address.split('%')[0])) {
+      return false;
+    }
+    return !['loopback', 'unspecified'].includes(this.classifyIP(address));
+  }
+
+  /**
+   * Checks if an address is currently assigned to a network interface of this computer
+   */
+  hasLocalAddress(address) {
+    const [ip, zone] = address.split('%');
+    return this.getAllLocalIPs().some(entry =>
+      entry.address === ip && (!zone || entry.interface === zone || String(entry.scopeid) === zone)
+    );
+  }
+
   /**
    * Checks if port requires admin privileges
    */
@@ -240,10 +288,16 @@ class NetworkManager {
   }
 
   /**
-   * Checks if an IP address is private (RFC 1918)
+   * Checks if an IP address is private
+   * IPv4: RFC 1918 and link-local; IPv6: unique local (fc00::/7) and link-local (fe80::/10).
    */
   isPrivateIP(ip) {
-    const parts = ip.split('.').map(Number);
+    const address = this.unmapIPv4(ip);
+    if (net.isIPv6(address)) {
+      return ['unique-local', 'link-local'].includes(this.classifyIP(address));
+    }
+    
+    const parts = address.split('.').map(Number);
     
     // 10.0.0.0/8
     if (parts[0] === 10) return true;
@@ -260,18 +314,47 @@ class NetworkManager {
     return false;
   }
 
+  /**
+   * Classifies an IP address
+   * Returns 'loopback', 'private' (RFC 1918), 'link-local', 'unique-local' (IPv6 fc00::/7), 'unspecified' (0.0.0.0, ::) or 'global'.
+   */
+  classifyIP(ip) {
+    const address = this.unmapIPv4(ip.split('%')[0]);
+    
+    if (net.isIPv4(address)) {
+      const [first, second] = address.split('.').map(Number);
+      if (address === '0.0.0.0') return 'unspecified';
+      if (first === 127) return 'loopback';
+      if (first === 169 && second === 254) return 'link-local';
+      return this.isPrivateIP(address) ? 'private' : 'global';
+    }
+    
+    const groups = this.expandIPv6(address).map(group => parseInt(group, 16));
+    const firstGroup = groups[0];
+    if (groups.every((group, index) => group === (index === 7 ? 1 : 0))) return 'loopback';
+    if (groups.every(group => group === 0)) return 'unspecified';
+    if ((firstGroup & 0xffc0) === 0xfe80) return 'link-local';
+    if ((firstGroup & 0xfe00) === 0xfc00) return 'unique-local';
+    return 'global';
+  }
+
   /**
    * Gets complete network information with local/network distinction
+   * options.ipv6: the server listens on :: (IPv4 and IPv6)
+   * options.bindAddress: the server only listens on this address (see isSpecificAddress)
    */
-  getNetworkInfo(port, enableLan = false) {
+  getNetworkInfo(port, enableLan = false, { ipv6 = false, bindAddress = null } = {}) {
     try {
-      const localIP = this.getLocalIPAddress();
-      const urls = this.generateAccessUrls(port, enableLan);
+      const boundAddress = enableLan && this.isSpecificAddress(bindAddress) ? bindAddress : null;
+      const localIP = boundAddress || this.getLocalIPAddress({ ipv6 });
+      const urls = this.generateAccessUrls(port, enableLan, { ipv6, bindAddress });
       
       return {
         port: port,
         localIP: localIP,
         networkIP: enableLan ? localIP : null,
+        bindAddress: boundAddress,
+        ipv6Address: ipv6 ? this.getLocalIPv6Address() : null,
         urls: urls,
         enableLan: enableLan,
         isPrivateNetwork: this.isPrivateIP(localIP),
@@ -285,10 +368,13 @@ class NetworkManager {
         port: port,
         localIP: '127.0.0.1',
         networkIP: null,
+        bindAddress: null,
+        ipv6Address: null,
         urls: {
           local: `http://127.0.0.1:${port}`,
           localIP: `http://127.0.0.1:${port}`,
-          network: null
+          network: null,
+          ipv6: null
         },
         enableLan: false,
         isPrivateNetwork: true,
@@ -376,7 +462,8 @@ class NetworkManager {
           totalInterfaces: 0,
           activeInterfaces: 0,
           privateIPs: [],
-          publicIPs: []
+          publicIPs: [],
+          ipv6: []
         }
       };
       
@@ -391,7 +478,11 @@ class NetworkManager {
         
         debug.summary.totalInterfaces++;
         
-        const ipv4Addresses = addresses.filter(addr => addr.family === 'IPv4' && !addr.internal);
+        addresses
+          .filter(addr => this.getFamily(addr) === 'IPv6' && !addr.internal)
+          .forEach(addr => debug.summary.ipv6.push({ address: addr.address, scope: this.classifyIP(addr.address) }));
+        
+        const ipv4Addresses = addresses.filter(addr => this.getFamily(addr) === 'IPv4' && !addr.internal);
         if (ipv4Addresses.length > 0) {
           debug.summary.activeInterfaces++;
           
@@ -440,6 +531,50 @@ class NetworkManager {
     this.localIP = null;
     return this.getLocalIPAddress();
   }
+
+  // === PRIVATE METHODS ===
+
+  // Node 18.0-18.3 reports the family as a number
+  getFamily(alias) {
+    return typeof alias.family === 'number' ? `IPv${alias.family}` : alias.family;
+  }
+
+  // IPv4-mapped IPv6 addresses (::ffff:192.168.1.10, ::ffff:c0a8:10a) are classified as IPv4
+  unmapIPv4(ip) {
+    if (!net.isIPv6(ip)) {
+      return ip;
+    }
+
+    // A dotted tail becomes the last two groups
+    const hex = ip.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+      `${(Number(a) * 256 + Number(b)).toString(16)}:${(Number(c) * 256 + Number(d)).toString(16)}`
+    );
+    const groups = this.expandIPv6(hex).map(group => parseInt(group, 16));
+    if (groups.slice(0, 5).some(group => group !== 0) || groups[5] !== 0xffff) {
+      return ip;
+    }
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  }
+
+  // Eight 4-digit groups, '::' expanded
+  expandIPv6(ip) {
+    const [head, tail = null] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === null ? 0 : 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => group.padStart(4, '0'));
+  }
+
+  // Order of the advertised address; null = never advertised (needs a zone id or is public IPv4)
+  rankAddress(ip) {
+    switch (ip.scope) {
+      case 'private': return 0;
+      case 'unique-local': return 1;
+      case 'global': return ip.family === 'IPv6' ? 2 : null;
+      case 'link-local': return ip.family === 'IPv4' ? 3 : null;
+      default: return null;
+    }
+  }
 }
 
 module.exports = NetworkManager; 
\ No newline at end of file
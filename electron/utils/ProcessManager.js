@@ -0,0 +1,397 @@
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+// Kernel clock ticks per second (USER_HZ), 100 on all common Linux builds
+const CLOCK_TICKS = 100;
+
+class ProcessManager {
+  constructor(logManager, networkManager) {
+    this.logManager = logManager;
+    this.networkManager = networkManager;
+    this.defaultDrainTimeout = 10000; // 10 seconds for in-flight requests
+    this.defaultKillTimeout = 5000; // 5 seconds after SIGKILL
+    this.portPollInterval = 250;
+  }
+
+  /**
+   * Stops a process gracefully: SIGTERM, wait for drain, then SIGKILL
+   * Accepts a ChildProcess or a PID. Resolves with how the process ended.
+   * options.processGroup signals the whole group of a detached child (POSIX), e.g. a shell and its commands.
+   */
+  async terminate(target, options = {}) {
+    const drainTimeout = options.drainTimeout ?? this.defaultDrainTimeout;
+    const killTimeout = options.killTimeout ?? this.defaultKillTimeout;
+    const signalOptions = { processGroup: options.processGroup };
+    const pid = typeof target === 'number' ? target : target?.pid;
+
+    if (!pid || !this.isProcessAlive(pid)) {
+      return { pid, stopped: true, method: 'not-running' };
+    }
+
+    await this.logManager?.info('Sending SIGTERM to server process', { pid, drainTimeout });
+    this.sendSignal(target, 'SIGTERM', signalOptions);
+
+    if (await this.waitForExit(target, drainTimeout)) {
+      await this.logManager?.info('Server process exited after SIGTERM', { pid });
+      return { pid, stopped: true, method: 'SIGTERM' };
+    }
+
+    await this.logManager?.warn('Drain timeout exceeded - Escalating to SIGKILL', { pid, drainTimeout });
+    this.sendSignal(target, 'SIGKILL', signalOptions);
+
+    if (await this.waitForExit(target, killTimeout)) {
+      await this.logManager?.info('Server process killed', { pid });
+      return { pid, stopped: true, method: 'SIGKILL' };
+    }
+
+    await this.logManager?.error('Server process survived SIGKILL', { pid, killTimeout });
+    return { pid, stopped: false, method: 'SIGKILL' };
+  }
+
+  /**
+   * Sends a signal to a ChildProcess or PID (or its process group)
+   */
+  sendSignal(target, signal, { processGroup = false } = {}) {
+    const pid = typeof target === 'number' ? target : target.pid;
+
+    try {
+      if (process.platform === 'win32' && signal === 'SIGKILL') {
+        // Kill the whole process tree on Windows
+        execFile('taskkill', ['/F', '/T', '/PID', String(pid)], () => {});
+        return true;
+      }
+
+      if (processGroup && process.platform !== 'win32') {
+        // A negative PID addresses the group the detached child leads
+        process.kill(-pid, signal);
+      } else if (typeof target === 'number') {
+        process.kill(pid, signal);
+      } else {
+        target.kill(signal);
+      }
+      return true;
+
+    } catch (error) {
+      // ESRCH: process already gone
+      if (error.code !== 'ESRCH') {
+        this.logManager?.warn('Failed to send signal to process', { pid, signal, error: error.message });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Waits until a process has exited, up to a timeout
+   */
+  async waitForExit(target, timeout) {
+    const pid = typeof target === 'number' ? target : target.pid;
+
+    // ChildProcess: rely on its exit event when still attached
+    if (typeof target !== 'number' && target.exitCode === null && target.signalCode === null) {
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          target.removeListener('exit', onExit);
+          resolve(!this.isProcessAlive(pid));
+        }, timeout);
+
+        const onExit = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+
+        target.once('exit', onExit);
+      });
+    }
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (!this.isProcessAlive(pid)) {
+        return true;
+      }
+      await this.sleep(this.portPollInterval);
+    }
+    return !this.isProcessAlive(pid);
+  }
+
+  /**
+   * Checks if a process exists
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Waits until nothing listens on a port anymore
+   */
+  async waitForPortFree(port, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      if (await this.networkManager.isPortAvailable(port)) {
+        return true;
+      }
+      await this.sleep(this.portPollInterval);
+    }
+
+    return this.networkManager.isPortAvailable(port);
+  }
+
+  /**
+   * Finds the PID of the process listening on a TCP port
+   */
+  async findPidByPort(port) {
+    try {
+      switch (process.platform) {
+        case 'linux':
+          return await this.findPidByPortLinux(port);
+        case 'win32':
+          return await this.findPidByPortWindows(port);
+        default:
+          return await this.findPidByPortLsof(port);
+      }
+    } catch (error) {
+      await this.logManager?.debug('Port owner lookup failed', { port, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Linux: match the listening socket inode from /proc/net/tcp{,6} to a /proc/<pid>/fd entry
+   */
+  async findPidByPortLinux(port) {
+    const inodes = new Set();
+
+    for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+      let content;
+      try {
+        content = await fs.readFile(table, 'utf8');
+      } catch {
+        continue; // IPv6 may be disabled
+      }
+
+      for (const line of content.split('\n').slice(1)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 10) continue;
+
+        const localPort = parseInt(fields[1].split(':').pop(), 16);
+        const state = fields[3];
+        const inode = fields[9];
+
+        // 0A = TCP_LISTEN
+        if (localPort === port && state === '0A' && inode !== '0') {
+          inodes.add(`socket:[${inode}]`);
+        }
+      }
+    }
+
+    if (inodes.size === 0) {
+      return null;
+    }
+
+    const entries = await fs.readdir('/proc');
+    for (const entry of entries) {
+      if (!/^\d+$/.test(entry)) continue;
+
+      let fds;
+      try {
+        fds = await fs.readdir(`/proc/${entry}/fd`);
+      } catch {
+        continue; // Process gone or owned by another user
+      }
+
+      for (const fd of fds) {
+        try {
+          const link = await fs.readlink(`/proc/${entry}/fd/${fd}`);
+          if (inodes.has(link)) {
+            return parseInt(entry, 10);
+          }
+        } catch {
+          // File descriptor closed meanwhile
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Windows: parse "netstat -ano" for the listening entry
+   */
+  async findPidByPortWindows(port) {
+    const output = await this.execCommand('netstat', ['-ano', '-p', 'TCP']);
+    const portLine = output.split('\n').find(line =>
+      line.includes(`:${port} `) &&
+      line.includes('LISTENING')
+    );
+
+    if (!portLine) {
+      return null;
+    }
+
+    const parts = portLine.trim().split(/\s+/);
+    const pid = parseInt(parts[parts.length - 1], 10);
+    return pid > 0 ? pid : null;
+  }
+
+  /**
+   * macOS and other Unix systems: ask lsof
+   */
+  async findPidByPortLsof(port) {
+    const output = await this.execCommand('lsof', ['-nP', `-iTCP:${port}`, '-sTCP:LISTEN', '-t']);
+    const pid = parseInt(output.trim().split('\n')[0], 10);
+    return pid > 0 ? pid : null;
+  }
+
+  /**
+   * Gets resource usage of a process and its descendants
+   * Resolves with { rss (bytes), cpuTime (s), cpu (%), threads, openFiles, processes }
+   * or null when unavailable. Fields a platform cannot provide are null.
+   */
+  async getProcessMetrics(pid) {
+    if (!pid || !this.isProcessAlive(pid)) {
+      return null;
+    }
+
+    try {
+      switch (process.platform) {
+        case 'linux':
+          return await this.getProcessMetricsLinux(pid);
+        case 'win32':
+          return await this.getProcessMetricsWindows(pid);
+        default:
+          return await this.getProcessMetricsPs(pid);
+      }
+    } catch (error) {
+      await this.logManager?.debug('Process metrics lookup failed', { pid, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Linux: /proc/<pid>/stat, status and fd of every process descending from pid
+   * cpuTime is cumulative; the caller derives CPU % from two samples.
+   */
+  async getProcessMetricsLinux(pid) {
+    const stats = new Map();
+
+    for (const entry of await fs.readdir('/proc')) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+        // The command name may contain spaces: fields start after the last ')'
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        stats.set(parseInt(entry, 10), {
+          ppid: parseInt(fields[1], 10),
+          ticks: parseInt(fields[11], 10) + parseInt(fields[12], 10), // utime + stime
+          threads: parseInt(fields[17], 10)
+        });
+      } catch {
+        // Process gone meanwhile
+      }
+    }
+
+    const parents = new Map([...stats].map(([childPid, stat]) => [childPid, stat.ppid]));
+    const tree = this.collectTree(pid, parents);
+    const metrics = { rss: 0, cpuTime: 0, cpu: null, threads: 0, openFiles: 0, processes: tree.length };
+
+    for (const member of tree) {
+      const stat = stats.get(member);
+      if (stat) {
+        metrics.cpuTime += stat.ticks / CLOCK_TICKS;
+        metrics.threads += stat.threads;
+      }
+
+      try {
+        const status = await fs.readFile(`/proc/${member}/status`, 'utf8');
+        const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        if (match) {
+          metrics.rss += parseInt(match[1], 10) * 1024;
+        }
+        metrics.openFiles += (await fs.readdir(`/proc/${member}/fd`)).length;
+      } catch {
+        // Process gone meanwhile
+      }
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Windows: working set of the process from tasklist (children are not included)
+   */
+  async getProcessMetricsWindows(pid) {
+    const output = await this.execCommand('tasklist', ['/FO', 'CSV', '/NH', '/FI', `PID eq ${pid}`]);
+    const columns = output.trim().split('\n')[0]?.split('","') || [];
+    const memory = parseInt((columns[4] || '').replace(/[^\d]/g, ''), 10);
+    if (isNaN(memory)) {
+      return null;
+    }
+    return { rss: memory * 1024, cpuTime: null, cpu: null, threads: null, openFiles: null, processes: 1 };
+  }
+
+  /**
+   * macOS and other Unix systems: ps lists pid, parent pid, RSS (KB) and CPU %
+   */
+  async getProcessMetricsPs(pid) {
+    const output = await this.execCommand('ps', ['-A', '-o', 'pid=,ppid=,rss=,%cpu=']);
+    const parents = new Map();
+    const usage = new Map();
+
+    for (const line of output.split('\n')) {
+      const [childPid, parentPid, rss, cpu] = line.trim().split(/\s+/);
+      if (!isNaN(parseInt(childPid, 10))) {
+        parents.set(parseInt(childPid, 10), parseInt(parentPid, 10));
+        usage.set(parseInt(childPid, 10), { rss: (parseInt(rss, 10) || 0) * 1024, cpu: parseFloat(cpu) || 0 });
+      }
+    }
+
+    const tree = this.collectTree(pid, parents);
+    return {
+      rss: tree.reduce((total, member) => total + (usage.get(member)?.rss || 0), 0),
+      cpuTime: null,
+      cpu: tree.reduce((total, member) => total + (usage.get(member)?.cpu || 0), 0),
+      threads: null,
+      openFiles: null,
+      processes: tree.length
+    };
+  }
+
+  // === PRIVATE METHODS ===
+
+  collectTree(pid, parents) {
+    const tree = [pid];
+    for (let i = 0; i < tree.length; i++) {
+      for (const [childPid, parentPid] of parents) {
+        if (parentPid === tree[i] && !tree.includes(childPid)) {
+          tree.push(childPid);
+        }
+      }
+    }
+    return tree;
+  }
+
+  execCommand(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: 5000, windowsHide: true }, (error, stdout) => {
+        // lsof exits with 1 when nothing matches
+        if (error && !stdout) {
+          reject(error);
+          return;
+        }
+        resolve(stdout || '');
+      });
+    });
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ProcessManager;
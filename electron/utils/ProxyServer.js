@@ -0,0 +1,342 @@
+const http = require('http');
+const net = require('net');
+const { URL } = require('url');
+const { EventEmitter } = require('events');
+
+class ProxyServer extends EventEmitter {
+  constructor(logManager, options = {}) {
+    super();
+    this.logManager = logManager;
+    this.profileId = options.profileId || null;
+    this.securityManager = options.securityManager || null;
+    this.maxRequests = options.maxRequests || null; // null = SecurityManager default
+    this.enforceOrigin = Boolean(options.enforceOrigin); // also check the origin of state-changing requests
+    this.server = null;
+    this.port = null;
+    this.hostname = null;
+    this.targetHost = '127.0.0.1';
+    this.targetPort = null;
+    this.inFlight = new Map(); // targetPort -> number of open requests/tunnels
+    this.sockets = new Set();
+    this.stats = {
+      requests: 0,
+      websockets: 0,
+      blocked: 0,
+      rateLimited: 0,
+      forbiddenOrigin: 0,
+      upstreamErrors: 0
+    };
+  }
+
+  /**
+   * Starts listening on the public port and forwards to the target port
+   */
+  start(port, hostname, targetPort) {
+    if (this.server) {
+      return Promise.reject(new Error('Proxy is already running'));
+    }
+
+    this.targetPort = targetPort;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      const onError = (error) => {
+        this.server = null;
+        reject(error);
+      };
+
+      this.server.once('error', onError);
+      this.server.listen(port, hostname, () => {
+        this.server.removeListener('error', onError);
+        this.server.on('error', (error) => {
+          this.logManager?.error('Proxy server error', { profileId: this.profileId, error: error.message });
+        });
+
+        this.port = port;
+        this.hostname = hostname;
+        this.logManager?.info('Proxy listening', { profileId: this.profileId, port, hostname, targetPort });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Switches new traffic to another upstream port
+   * In-flight requests keep going to the previous one.
+   */
+  setTarget(targetPort) {
+    const previousPort = this.targetPort;
+    this.targetPort = targetPort;
+    this.logManager?.info('Proxy target switched', { profileId: this.profileId, from: previousPort, to: targetPort });
+    this.emit('target-changed', { from: previousPort, to: targetPort });
+    return previousPort;
+  }
+
+  /**
+   * Waits until no request is in flight to an upstream port, up to a timeout
+   */
+  async waitForDrain(targetPort, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      if (!this.inFlight.get(targetPort)) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return !this.inFlight.get(targetPort);
+  }
+
+  /**
+   * Stops accepting connections and closes open ones
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      for (const socket of this.sockets) {
+        socket.destroy();
+      }
+      this.sockets.clear();
+    });
+
+    this.logManager?.info('Proxy stopped', { profileId: this.profileId, port: this.port });
+  }
+
+  /**
+   * Checks if the proxy is listening
+   */
+  isRunning() {
+    return this.server !== null;
+  }
+
+  /**
+   * Gets request counters
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      activeConnections: this.sockets.size,
+      targetPort: this.targetPort
+    };
+  }
+
+  /**
+   * Applies SecurityManager rules to an incoming request
+   * Returns null when allowed, or the HTTP status and message to reject it with.
+   */
+  checkAccess(req, isUpgrade = false) {
+    if (!this.securityManager) {
+      return null;
+    }
+
+    const ip = this.getClientIP(req);
+    // Counters and blocks are kept per profile: one application rate-limiting a client does not block the others
+    const client = this.profileId ? `${this.profileId}:${ip}` : ip;
+
+    if (this.securityManager.isIPBlocked(ip) || this.securityManager.isIPBlocked(client)) {
+      this.stats.blocked++;
+      return { status: 403, message: 'Forbidden - Your address is temporarily blocked' };
+    }
+
+    // The local machine is trusted; LAN clients are rate limited
+    if (!this.isLoopback(ip)) {
+      const rateLimit = this.securityManager.checkRateLimit(client, this.maxRequests);
+      if (!rateLimit.allowed) {
+        this.stats.rateLimited++;
+        return {
+          status: 429,
+          message: 'Too Many Requests',
+          headers: { 'Retry-After': Math.ceil(this.securityManager.rateLimitConfig.blockDuration / 1000) }
+        };
+      }
+    }
+
+    // Cross-site WebSockets must come from an allowed origin; other requests only when the profile enforces it
+    // (cross-site form posts such as OAuth form_post callbacks are legitimate for most applications)
+    const safeMethod = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+    if ((isUpgrade || (this.enforceOrigin && !safeMethod)) && !this.isOriginAllowed(req)) {
+      this.stats.forbiddenOrigin++;
+      this.logManager?.warn('Proxy rejected request from unauthorized origin', {
+        profileId: this.profileId,
+        ip,
+        origin: req.headers.origin,
+        method: req.method,
+        url: req.url
+      });
+      return { status: 403, message: 'Forbidden - Origin not allowed' };
+    }
+
+    return null;
+  }
+
+  // === PRIVATE METHODS ===
+
+  handleRequest(req, res) {
+    this.stats.requests++;
+
+    const denied = this.checkAccess(req);
+    if (denied) {
+      res.writeHead(denied.status, { 'Content-Type': 'text/plain; charset=utf-8', ...denied.headers });
+      res.end(`${denied.status} ${denied.message}`);
+      return;
+    }
+
+    const targetPort = this.targetPort;
+    const release = this.track(targetPort);
+
+    const upstream = http.request({
+      host: this.targetHost,
+      port: targetPort,
+      method: req.method,
+      path: req.url,
+      headers: this.buildForwardHeaders(req)
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+
+    res.on('close', () => {
+      release();
+      upstream.destroy();
+    });
+
+    upstream.on('error', (error) => {
+      this.stats.upstreamErrors++;
+      if (!res.headersSent) {
+        res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('502 Bad Gateway - OxichStudio server is not reachable');
+      } else {
+        res.destroy();
+      }
+      this.logManager?.debug('Proxy upstream error', { profileId: this.profileId, targetPort, error: error.message });
+    });
+
+    req.pipe(upstream);
+  }
+
+  handleUpgrade(req, socket, head) {
+    this.stats.websockets++;
+
+    const denied = this.checkAccess(req, true);
+    if (denied) {
+      socket.end(`HTTP/1.1 ${denied.status} ${http.STATUS_CODES[denied.status]}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    const targetPort = this.targetPort;
+    const release = this.track(targetPort);
+    const upstream = net.connect({ port: targetPort, host: this.targetHost, allowHalfOpen: false });
+
+    // HTTP server sockets are half-open by default: close the tunnel when either side ends
+    socket.allowHalfOpen = false;
+
+    const close = () => {
+      socket.destroy();
+      upstream.destroy();
+    };
+
+    upstream.once('connect', () => {
+      // Replay the original upgrade request, then tunnel both directions
+      const headers = this.buildForwardHeaders(req);
+      let rawRequest = `${req.method} ${req.url} HTTP/${req.httpVersion}\r\n`;
+      for (const [name, value] of Object.entries(headers)) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+          rawRequest += `${name}: ${item}\r\n`;
+        }
+      }
+      upstream.write(`${rawRequest}\r\n`);
+      if (head && head.length) {
+        upstream.write(head);
+      }
+
+      socket.pipe(upstream);
+      upstream.pipe(socket);
+    });
+
+    upstream.on('error', close);
+    socket.on('error', close);
+    socket.on('close', () => upstream.destroy());
+    upstream.on('close', () => {
+      socket.destroy();
+      release();
+    });
+  }
+
+  isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true; // Non-browser clients and same-origin navigations
+    }
+
+    // Sandboxed documents and file:// pages send "null", which no allowed origin matches
+    if (origin === 'null') {
+      return false;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(origin);
+    } catch {
+      return false;
+    }
+
+    // Same origin as the address the client used to reach the proxy
+    if (parsed.host === req.headers.host) {
+      return true;
+    }
+
+    const allowedOrigins = this.securityManager.allowedOrigins;
+    return allowedOrigins.has(parsed.origin) || allowedOrigins.has(`${parsed.protocol}//${parsed.hostname}`);
+  }
+
+  getClientIP(req) {
+    const address = req.socket.remoteAddress || '';
+    return address.startsWith('::ffff:') ? address.slice(7) : address;
+  }
+
+  isLoopback(ip) {
+    return ip === '::1' || ip.startsWith('127.');
+  }
+
+  buildForwardHeaders(req) {
+    const remoteAddress = this.getClientIP(req);
+    const forwardedFor = req.headers['x-forwarded-for'];
+
+    return {
+      ...req.headers,
+      'x-forwarded-for': forwardedFor ? `${forwardedFor}, ${remoteAddress}` : remoteAddress,
+      'x-forwarded-host': req.headers['x-forwarded-host'] || req.headers.host || '',
+      'x-forwarded-proto': req.headers['x-forwarded-proto'] || 'http'
+    };
+  }
+
+  track(targetPort) {
+    this.inFlight.set(targetPort, (this.inFlight.get(targetPort) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const count = (this.inFlight.get(targetPort) || 1) - 1;
+      if (count > 0) {
+        this.inFlight.set(targetPort, count);
+      } else {
+        this.inFlight.delete(targetPort);
+      }
+    };
+  }
+}
+
+module.exports = ProxyServer;
@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+class RestartManager extends EventEmitter {
+  constructor(logManager) {
+    super();
+    this.logManager = logManager;
+    this.profiles = new Map(); // profileId -> { history, timer, nextRestartAt, crashLooping, lastExit }
+  }
+
+  /**
+   * Decides whether an unexpected exit should be followed by a restart,
+   * and schedules it with exponential backoff.
+   * restartFn is called when the delay has elapsed.
+   */
+  handleExit(profileId, exitInfo, policy, restartFn) {
+    const state = this.getProfileState(profileId);
+    const { code = null, signal = null } = exitInfo || {};
+    state.lastExit = { code, signal, timestamp: Date.now() };
+
+    if (state.crashLooping) {
+      return { action: 'none', reason: 'crash-looping' };
+    }
+
+    if (!this.shouldRestart(policy.policy, code, signal)) {
+      this.logManager?.info('Restart policy - Server will remain stopped', { profileId, policy: policy.policy, code, signal });
+      return { action: 'none', reason: 'policy' };
+    }
+
+    // Only restarts inside the time window count towards the limit
+    const now = Date.now();
+    state.history = state.history.filter(timestamp => now - timestamp < policy.window);
+
+    if (state.history.length >= policy.maxRestarts) {
+      state.crashLooping = true;
+      this.cancel(profileId);
+
+      this.logManager?.error('Server is crash-looping - Automatic restarts stopped', {
+        profileId,
+        restarts: state.history.length,
+        window: policy.window
+      });
+      this.emit('crash-loop', { profileId, restarts: state.history.length, window: policy.window, lastExit: state.lastExit });
+      return { action: 'crash-loop' };
+    }
+
+    const attempt = state.history.length + 1;
+    const delay = Math.min(policy.initialDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+    state.history.push(now);
+
+    this.cancel(profileId);
+    state.nextRestartAt = now + delay;
+    state.timer = setTimeout(async () => {
+      state.timer = null;
+      state.nextRestartAt = null;
+
+      try {
+        await restartFn();
+        this.logManager?.info('Automatic restart successful', { profileId, attempt });
+        this.emit('restart-succeeded', { profileId, attempt });
+      } catch (error) {
+        this.logManager?.warn('Automatic restart failed', { profileId, attempt, error: error.message });
+        this.emit('restart-failed', { profileId, attempt, error: error.message });
+
+        // A server that cannot even boot counts as another failure
+        this.handleExit(profileId, { code: 1, signal: null }, policy, restartFn);
+      }
+    }, delay);
+
+    this.logManager?.info('Automatic restart scheduled', { profileId, policy: policy.policy, attempt, delay });
+    this.emit('restart-scheduled', { profileId, attempt, delay, maxRestarts: policy.maxRestarts });
+    return { action: 'restart', attempt, delay };
+  }
+
+  /**
+   * Checks if an exit qualifies for a restart under a policy
+   */
+  shouldRestart(policy, code, signal) {
+    switch (policy) {
+      case 'always':
+        return true;
+      case 'on-failure':
+        return code !== 0 || signal !== null;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Cancels a pending restart
+   */
+  cancel(profileId) {
+    const state = this.profiles.get(profileId);
+    if (state?.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+      state.nextRestartAt = null;
+    }
+  }
+
+  /**
+   * Clears restart history and crash-loop state (e.g. after a manual start or stop)
+   */
+  reset(profileId) {
+    this.cancel(profileId);
+    const wasCrashLooping = this.profiles.get(profileId)?.crashLooping;
+    this.profiles.delete(profileId);
+
+    if (wasCrashLooping) {
+      this.emit('crash-loop-cleared', { profileId });
+    }
+  }
+
+  /**
+   * Checks if a profile is in crash-looping state
+   */
+  isCrashLooping(profileId) {
+    return this.profiles.get(profileId)?.crashLooping || false;
+  }
+
+  /**
+   * Gets the restart state of a profile for status reporting
+   */
+  getStatus(profileId) {
+    const state = this.profiles.get(profileId);
+    return {
+      crashLooping: state?.crashLooping || false,
+      recentRestarts: state?.history.length || 0,
+      nextRestartAt: state?.nextRestartAt || null,
+      lastExit: state?.lastExit || null
+    };
+  }
+
+  /**
+   * Cancels all pending restarts
+   */
+  cancelAll() {
+    for (const profileId of this.profiles.keys()) {
+      this.cancel(profileId);
+    }
+  }
+
+  // === PRIVATE METHODS ===
+
+  getProfileState(profileId) {
+    if (!this.profiles.has(profileId)) {
+      this.profiles.set(profileId, {
+        history: [],
+        timer: null,
+        nextRestartAt: null,
+        crashLooping: false,
+        lastExit: null
+      });
+    }
+    return this.profiles.get(profileId);
+  }
+}
+
+RestartManager.POLICIES = RESTART_POLICIES;
+
+module.exports = RestartManager;
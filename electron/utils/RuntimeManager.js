@@ -0,0 +1,113 @@
+const { execFile } = require('child_process');
+
+const RUNTIMES = ['electron', 'node'];
+
+// Prints the versions of the runtime running it
+const VERSION_SCRIPT = 'process.stdout.write(JSON.stringify({ node: process.version, electron: process.versions.electron || null }))';
+
+class RuntimeManager {
+  constructor(logManager) {
+    this.logManager = logManager;
+    this.detectTimeout = 5000;
+    this.cache = new Map(); // "runtime:command" -> versions or null
+  }
+
+  /**
+   * Resolves the runtime a Node server profile is launched with.
+   * 'electron' runs the bundled Node of Electron (ELECTRON_RUN_AS_NODE) and
+   * falls back to the configured Node binary when that mode is unavailable.
+   * Resolves with { type, command, env, version, electronVersion, fallback, description }.
+   */
+  async resolve(profile) {
+    const nodeCommand = profile.nodePath || 'node';
+
+    if ((profile.runtime || 'electron') === 'electron') {
+      const electron = await this.detect('electron', process.execPath);
+      if (electron) {
+        return {
+          type: 'electron',
+          command: process.execPath,
+          env: { ELECTRON_RUN_AS_NODE: '1' },
+          version: electron.node,
+          electronVersion: electron.electron,
+          fallback: false,
+          description: `Electron ${electron.electron} (Node ${electron.node})`
+        };
+      }
+
+      await this.logManager?.warn('Bundled Node runtime unavailable - Falling back to Node.js binary', {
+        execPath: process.execPath,
+        nodeCommand
+      });
+    }
+
+    const node = await this.detect('node', nodeCommand);
+    if (!node) {
+      const error = new Error(profile.nodePath
+        ? `Node.js was not found at ${profile.nodePath}. Check the Node.js path of this profile.`
+        : 'Node.js was not found on this system. Install Node.js or set the Node.js path of this profile.');
+      error.code = 'RUNTIME_NOT_FOUND';
+      throw error;
+    }
+
+    return {
+      type: 'node',
+      command: nodeCommand,
+      env: {},
+      version: node.node,
+      electronVersion: null,
+      fallback: (profile.runtime || 'electron') === 'electron',
+      description: `Node.js ${node.node} (${nodeCommand})`
+    };
+  }
+
+  /**
+   * Runs a runtime once to check that it works and read its version
+   * Resolves with { node, electron } or null.
+   */
+  async detect(type, command) {
+    const key = `${type}:${command}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const env = { ...process.env };
+    if (type === 'electron') {
+      env.ELECTRON_RUN_AS_NODE = '1';
+    } else {
+      delete env.ELECTRON_RUN_AS_NODE;
+    }
+
+    const versions = await new Promise((resolve) => {
+      execFile(command, ['-e', VERSION_SCRIPT], { env, timeout: this.detectTimeout, windowsHide: true }, (error, stdout) => {
+        if (error) {
+          resolve(null);
+          return;
+        }
+        try {
+          const parsed = JSON.parse(stdout);
+          // Without run-as-node support, Electron starts an app instead of running the script
+          const valid = parsed && typeof parsed.node === 'string' && (type !== 'electron' || parsed.electron);
+          resolve(valid ? parsed : null);
+        } catch {
+          resolve(null);
+        }
+      });
+    });
+
+    this.cache.set(key, versions);
+    await this.logManager?.info('Runtime checked', { type, command, available: Boolean(versions), versions });
+    return versions;
+  }
+
+  /**
+   * Forgets detected runtimes (e.g. after the Node.js path changed)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+RuntimeManager.RUNTIMES = RUNTIMES;
+
+module.exports = RuntimeManager;
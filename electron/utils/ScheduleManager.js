@@ -0,0 +1,328 @@
+const { EventEmitter } = require('events');
+
+const ACTIONS = ['start', 'stop'];
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 = Sunday
+];
+
+const MAX_TIMER_DELAY = 60 * 60 * 1000; // Re-evaluated hourly (clock changes, long delays)
+const SEARCH_LIMIT_DAYS = 366 * 5;
+
+class ScheduleManager extends EventEmitter {
+  constructor(logManager) {
+    super();
+    this.logManager = logManager;
+    this.schedules = new Map(); // profileId -> { rules, timer, next, skip }
+  }
+
+  /**
+   * Schedules the start/stop rules of all profiles, replacing previous ones
+   */
+  load(profiles) {
+    const ids = new Set(profiles.map(profile => profile.id));
+    for (const profileId of this.schedules.keys()) {
+      if (!ids.has(profileId)) {
+        this.remove(profileId);
+      }
+    }
+
+    for (const profile of profiles) {
+      this.update(profile);
+    }
+  }
+
+  /**
+   * Schedules the rules of one profile (disabled or empty schedules are removed)
+   */
+  update(profile) {
+    const schedule = profile.schedule || {};
+    const previous = this.schedules.get(profile.id);
+    if (previous) {
+      clearTimeout(previous.timer);
+    }
+
+    if (!schedule.enabled || !Array.isArray(schedule.rules) || schedule.rules.length === 0) {
+      this.schedules.delete(profile.id);
+      this.emit('updated', { profileId: profile.id, next: null });
+      return;
+    }
+
+    const rules = [];
+    for (const rule of schedule.rules) {
+      try {
+        rules.push({ action: rule.action, cron: rule.cron, fields: ScheduleManager.parseCron(rule.cron) });
+      } catch (error) {
+        this.logManager?.warn('Invalid schedule rule ignored', { profileId: profile.id, cron: rule.cron, error: error.message });
+      }
+    }
+
+    // A skip only applies to the occurrence it was requested for
+    this.schedules.set(profile.id, { rules, timer: null, next: null, skip: previous?.skip || null });
+    this.arm(profile.id);
+  }
+
+  /**
+   * Stops scheduling a profile
+   */
+  remove(profileId) {
+    const entry = this.schedules.get(profileId);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.schedules.delete(profileId);
+    }
+  }
+
+  /**
+   * Gets the next scheduled action of a profile
+   * Returns { action, at, cron, skipped } or null.
+   */
+  getNext(profileId) {
+    const next = this.schedules.get(profileId)?.next;
+    if (!next) {
+      return null;
+    }
+
+    return {
+      action: next.action,
+      at: next.at.getTime(),
+      cron: next.cron,
+      skipped: this.isSkipped(profileId, next)
+    };
+  }
+
+  /**
+   * Skips the next scheduled action once
+   */
+  skipNext(profileId) {
+    const entry = this.schedules.get(profileId);
+    if (!entry?.next) {
+      throw new Error('No scheduled action to skip');
+    }
+
+    entry.skip = { action: entry.next.action, at: entry.next.at.getTime() };
+    this.logManager?.info('Next scheduled action skipped', { profileId, ...entry.skip });
+    this.emit('updated', { profileId, next: this.getNext(profileId) });
+    return this.getNext(profileId);
+  }
+
+  /**
+   * Cancels a pending skip
+   */
+  cancelSkip(profileId) {
+    const entry = this.schedules.get(profileId);
+    if (entry) {
+      entry.skip = null;
+      this.emit('updated', { profileId, next: this.getNext(profileId) });
+    }
+    return this.getNext(profileId);
+  }
+
+  /**
+   * Stops all timers
+   */
+  stopAll() {
+    for (const profileId of [...this.schedules.keys()]) {
+      this.remove(profileId);
+    }
+  }
+
+  /**
+   * Parses a 5-field cron expression into sets of allowed values
+   * Supports *, lists (1,3), ranges (1-5) and steps (*\/15, 8-18/2).
+   */
+  static parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+    }
+
+    const fields = parts.map((part, index) => {
+      const { name, min, max } = CRON_FIELDS[index];
+      const values = new Set();
+
+      for (const item of part.split(',')) {
+        const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+          throw new Error(`Invalid ${name} "${item}" in cron expression "${expression}"`);
+        }
+
+        let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+        if (end === undefined) {
+          end = match[2] ? max : start;
+        }
+        const step = match[2] ? Number(match[2]) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+          throw new Error(`Invalid ${name} "${item}" in cron expression "${expression}" (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+          values.add(index === 4 && value === 7 ? 0 : value);
+        }
+      }
+
+      return { values, wildcard: part === '*' };
+    });
+
+    return {
+      minutes: fields[0].values,
+      hours: fields[1].values,
+      days: fields[2].values,
+      months: fields[3].values,
+      weekdays: fields[4].values,
+      anyDay: fields[2].wildcard,
+      anyWeekday: fields[4].wildcard
+    };
+  }
+
+  /**
+   * Finds the first time strictly after "from" matching parsed cron fields
+   */
+  static nextOccurrence(fields, from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + SEARCH_LIMIT_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      if (!fields.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!ScheduleManager.matchesDay(fields, date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!fields.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!fields.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return date;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validates a schedule from the configuration
+   */
+  static validate(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+      throw new Error('Schedule must be an object');
+    }
+    if (schedule.rules !== undefined && !Array.isArray(schedule.rules)) {
+      throw new Error('Schedule rules must be a list');
+    }
+
+    for (const rule of schedule.rules || []) {
+      if (!ACTIONS.includes(rule?.action)) {
+        throw new Error(`Schedule action must be one of: ${ACTIONS.join(', ')}`);
+      }
+      ScheduleManager.parseCron(rule.cron);
+    }
+    return true;
+  }
+
+  // Standard cron: when both day fields are restricted, either may match
+  static matchesDay(fields, date) {
+    const dayMatch = fields.days.has(date.getDate());
+    const weekdayMatch = fields.weekdays.has(date.getDay());
+
+    if (fields.anyDay || fields.anyWeekday) {
+      return dayMatch && weekdayMatch;
+    }
+    return dayMatch || weekdayMatch;
+  }
+
+  // === PRIVATE METHODS ===
+
+  arm(profileId) {
+    const entry = this.schedules.get(profileId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    entry.next = this.computeNext(entry.rules);
+
+    // Forget a skip whose occurrence is gone (rules changed)
+    if (entry.skip && !this.isSkipped(profileId, entry.next)) {
+      entry.skip = null;
+    }
+
+    this.emit('updated', { profileId, next: this.getNext(profileId) });
+    if (!entry.next) return;
+
+    const delay = entry.next.at.getTime() - Date.now();
+    entry.timer = setTimeout(() => {
+      if (entry.next && entry.next.at.getTime() <= Date.now()) {
+        this.fire(profileId, entry.next);
+      } else {
+        this.arm(profileId);
+      }
+    }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY)));
+  }
+
+  fire(profileId, next) {
+    const entry = this.schedules.get(profileId);
+    if (!entry) return;
+
+    // Every rule due at this time runs, a skip only cancels its own action
+    for (const due of next.due) {
+      const occurrence = { ...due, at: next.at };
+      if (this.isSkipped(profileId, occurrence)) {
+        entry.skip = null;
+        this.logManager?.info('Scheduled action skipped', { profileId, action: due.action, cron: due.cron });
+        this.emit('skipped', { profileId, action: due.action, at: next.at.getTime() });
+      } else {
+        this.emit('action', { profileId, action: due.action, at: next.at.getTime(), cron: due.cron });
+      }
+    }
+
+    // Look for the occurrence after this one
+    entry.next = null;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.arm(profileId), 1000);
+  }
+
+  // The earliest occurrence with every rule due at that time (one per action)
+  computeNext(rules) {
+    let next = null;
+    for (const rule of rules) {
+      const at = ScheduleManager.nextOccurrence(rule.fields);
+      if (!at || (next && at > next.at)) continue;
+
+      if (!next || at < next.at) {
+        next = { action: rule.action, cron: rule.cron, at, due: [] };
+      }
+      if (!next.due.some(due => due.action === rule.action)) {
+        next.due.push({ action: rule.action, cron: rule.cron });
+      }
+    }
+    return next;
+  }
+
+  isSkipped(profileId, next) {
+    const skip = this.schedules.get(profileId)?.skip;
+    return Boolean(skip && next && skip.action === next.action && skip.at === next.at.getTime());
+  }
+}
+
+ScheduleManager.ACTIONS = ACTIONS;
+
+module.exports = ScheduleManager;
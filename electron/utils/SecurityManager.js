@@ -8,6 +8,7 @@ class SecurityManager {
     this.blockedIPs = new Set();
     this.rateLimitStore = new Map();
     this.rateLimitConfig = {
+      rateLimitEnabled: true,
       windowMs: 60000, // 1 minute
       maxRequests: 100,
       blockDuration: 300000 // 5 minutes
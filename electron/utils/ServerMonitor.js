@@ -1,16 +1,27 @@
-const http = require('http');
 const { EventEmitter } = require('events');
+const HealthProbe = require('./HealthProbe');
 
 class ServerMonitor extends EventEmitter {
-  constructor(logManager, networkManager) {
+  constructor(logManager, networkManager, processManager = null) {
     super();
     this.logManager = logManager;
     this.networkManager = networkManager;
+    this.processManager = processManager;
     this.isMonitoring = false;
     this.monitorInterval = null;
     this.healthCheckInterval = 5000; // 5 seconds
     this.defaultHealthCheckInterval = 5000; // ✅ ADDED: Save default value
     this.maxRetries = 3;
+    this.initialDelay = 8000; // 8 seconds to let the server start completely
+    this.probe = new HealthProbe({ timeout: 4000, interval: this.healthCheckInterval, failureThreshold: this.maxRetries });
+    this.lastProbeResult = null;
+    this.metricsSampleInterval = 5000; // 5 seconds
+    this.metricsInterval = null;
+    this.lastCpuSample = null; // { cpuTime, time } to derive CPU %
+    this.memoryDefinition = null; // as given to startMonitoring
+    this.memoryLimits = { maxRss: null, sustainedPeriod: 120000 };
+    this.memoryExceededSince = null;
+    this.recycleRequested = false;
     this.retryCount = 0;
     this.serverProcess = null;
     this.serverPort = null;
@@ -22,6 +33,10 @@ class ServerMonitor extends EventEmitter {
       responseTime: 0,
       memoryUsage: 0,
       cpuUsage: 0,
+      threads: null,
+      openFiles: null,
+      processCount: 0,
+      sampledAt: null,
       requestCount: 0,
       errorCount: 0
     };
@@ -30,11 +45,31 @@ class ServerMonitor extends EventEmitter {
   /**
    * Starts server monitoring
    */
-  startMonitoring(serverProcess, port, hostname = 'localhost') {
+  startMonitoring(serverProcess, port, hostname = '127.0.0.1', probeDefinition = null, memoryLimits = null) {
     if (this.isMonitoring) {
       this.stopMonitoring();
     }
 
+    // Liveness probe of the profile
+    if (probeDefinition) {
+      this.probe = new HealthProbe(probeDefinition);
+      this.defaultHealthCheckInterval = this.probe.interval;
+      this.maxRetries = this.probe.failureThreshold;
+      this.initialDelay = this.probe.initialDelay;
+    }
+    this.healthCheckInterval = this.defaultHealthCheckInterval;
+    this.lastProbeResult = null;
+
+    // Memory ceiling of the profile (MB in the configuration), none when no limits are given
+    this.memoryDefinition = memoryLimits;
+    this.memoryLimits = {
+      maxRss: memoryLimits?.maxRss ? memoryLimits.maxRss * 1024 * 1024 : null,
+      sustainedPeriod: memoryLimits?.sustainedPeriod ?? 120000
+    };
+    this.memoryExceededSince = null;
+    this.recycleRequested = false;
+    this.lastCpuSample = null;
+
     this.serverProcess = serverProcess;
     this.serverPort = port;
     this.serverHostname = hostname;
@@ -45,15 +80,14 @@ class ServerMonitor extends EventEmitter {
     this.logManager?.info('Server monitoring started', {
       port,
       hostname,
-      pid: serverProcess?.pid
+      pid: serverProcess?.pid,
+      probe: `${this.probe.method} ${this.probe.path}`
     });
 
     // ✅ INITIAL DELAY to let the server start completely
-    setTimeout(() => {
+    this.initialDelayTimer = setTimeout(() => {
+      this.initialDelayTimer = null;
       if (this.isMonitoring) {
-        // ✅ OPTIMIZATION: Start with longer interval then normalize
-        this.healthCheckInterval = 10000; // Start with 10 seconds
-        
         // Start periodic checks after delay
         this.monitorInterval = setInterval(() => {
           this.performHealthCheck();
@@ -65,16 +99,29 @@ class ServerMonitor extends EventEmitter {
           initialInterval: this.healthCheckInterval 
         });
       }
-    }, 8000); // 8 seconds initial delay
+    }, this.initialDelay);
+
+    // CPU and memory sampling of the server process tree
+    if (this.processManager && serverProcess?.pid) {
+      this.metricsInterval = setInterval(() => {
+        this.sampleProcessMetrics();
+      }, this.metricsSampleInterval);
+      this.sampleProcessMetrics();
+    }
 
     // Process monitoring
     if (serverProcess) {
+      // Ignore processes replaced since (e.g. old instance of a zero-downtime restart)
       serverProcess.on('exit', (code, signal) => {
-        this.handleServerExit(code, signal);
+        if (serverProcess === this.serverProcess) {
+          this.handleServerExit(code, signal);
+        }
       });
 
       serverProcess.on('error', (error) => {
-        this.handleServerError(error);
+        if (serverProcess === this.serverProcess) {
+          this.handleServerError(error);
+        }
       });
     }
 
@@ -89,11 +136,21 @@ class ServerMonitor extends EventEmitter {
 
     this.isMonitoring = false;
     
+    if (this.initialDelayTimer) {
+      clearTimeout(this.initialDelayTimer);
+      this.initialDelayTimer = null;
+    }
+    
     if (this.monitorInterval) {
       clearInterval(this.monitorInterval);
       this.monitorInterval = null;
     }
 
+    if (this.metricsInterval) {
+      clearInterval(this.metricsInterval);
+      this.metricsInterval = null;
+    }
+
     // ✅ CORRECTION: ASCII message to avoid encoding issues
     this.logManager?.info('Server monitoring stopped');
     this.emit('monitoring-stopped');
@@ -137,23 +194,13 @@ class ServerMonitor extends EventEmitter {
           }
         }
         
-        // Process metrics if available
-        if (this.serverProcess && this.serverProcess.pid) {
-          try {
-            const usage = process.memoryUsage();
-            this.performanceMetrics.memoryUsage = usage.rss;
-          } catch (error) {
-            // Ignore metrics errors
-          }
-        }
-
         this.emit('health-check-success', {
           responseTime,
           metrics: this.performanceMetrics
         });
 
       } else {
-        this.handleHealthCheckFailure();
+        this.handleHealthCheckFailure(new Error(this.lastProbeResult?.error || 'Liveness probe failed'));
       }
 
     } catch (error) {
@@ -162,39 +209,105 @@ class ServerMonitor extends EventEmitter {
   }
 
   /**
-   * Tests server connectivity
+   * Tests server connectivity with the liveness probe
    */
   async checkServerHealth() {
-    return new Promise((resolve) => {
-      const options = {
-        hostname: 'localhost',
+    const result = await this.probe.check(this.serverPort);
+    this.lastProbeResult = { ...result, timestamp: Date.now() };
+
+    if (!result.healthy) {
+      this.logManager?.debug('Liveness probe failed', {
         port: this.serverPort,
-        path: '/',
-        method: 'GET',
-        timeout: 4000
-      };
+        path: this.probe.path,
+        statusCode: result.statusCode,
+        error: result.error
+      });
+    }
+
+    return result.healthy;
+  }
+
+  /**
+   * Samples CPU and memory of the server process and its children
+   */
+  async sampleProcessMetrics() {
+    const serverProcess = this.serverProcess;
+    const usage = await this.processManager.getProcessMetrics(serverProcess?.pid);
+    if (!this.isMonitoring || !usage || serverProcess !== this.serverProcess) return;
+
+    const now = Date.now();
+    let cpuUsage = usage.cpu;
+    if (usage.cpuTime !== null) {
+      // Percent of one core since the previous sample
+      const previous = this.lastCpuSample;
+      cpuUsage = previous ? Math.max(0, (usage.cpuTime - previous.cpuTime) / ((now - previous.time) / 1000) * 100) : 0;
+      this.lastCpuSample = { cpuTime: usage.cpuTime, time: now };
+    }
 
-      const req = http.request(options, (res) => {
-        resolve(res.statusCode > 0);
+    Object.assign(this.performanceMetrics, {
+      memoryUsage: usage.rss,
+      cpuUsage: cpuUsage === null ? null : Math.round(cpuUsage * 10) / 10,
+      threads: usage.threads,
+      openFiles: usage.openFiles,
+      processCount: usage.processes,
+      sampledAt: now
+    });
+
+    await this.checkMemoryCeiling(serverProcess, usage);
+  }
+
+  /**
+   * Requests a recycle when memory stays above the ceiling for the sustained period
+   */
+  async checkMemoryCeiling(serverProcess, usage) {
+    const { maxRss, sustainedPeriod } = this.memoryLimits;
+    if (!maxRss || usage.rss <= maxRss) {
+      if (this.memoryExceededSince) {
+        this.logManager?.info('Server memory back under ceiling', { port: this.serverPort, rss: usage.rss, maxRss });
+      }
+      this.memoryExceededSince = null;
+      return;
+    }
+
+    if (!this.memoryExceededSince) {
+      this.memoryExceededSince = Date.now();
+      await this.logManager?.warn('Server memory above ceiling', {
+        port: this.serverPort,
+        pid: serverProcess.pid,
+        rss: usage.rss,
+        maxRss,
+        sustainedPeriod
       });
+      return;
+    }
 
-      req.on('error', (error) => {
-        this.logManager?.debug('Health check connection refused', {
-          port: this.serverPort,
-          error: error.code || error.message
-        });
-        resolve(false);
+    const duration = Date.now() - this.memoryExceededSince;
+    if (duration >= sustainedPeriod && !this.recycleRequested) {
+      this.recycleRequested = true;
+      await this.logManager?.warn('Server memory above ceiling for too long - Recycle requested', {
+        port: this.serverPort,
+        pid: serverProcess.pid,
+        rss: usage.rss,
+        maxRss,
+        duration
       });
 
-      req.on('timeout', () => {
-        req.destroy();
-        this.logManager?.debug('Health check timeout', { port: this.serverPort });
-        resolve(false);
+      this.emit('memory-limit-exceeded', {
+        pid: serverProcess.pid,
+        rss: usage.rss,
+        maxRss,
+        duration
       });
+    }
+  }
 
-      req.setTimeout(4000);
-      req.end();
-    });
+  /**
+   * Re-arms the memory ceiling after a recycle that did not happen,
+   * so the next sustained breach requests it again
+   */
+  resetMemoryCeiling() {
+    this.memoryExceededSince = null;
+    this.recycleRequested = false;
   }
 
   /**
@@ -250,6 +363,9 @@ class ServerMonitor extends EventEmitter {
    * Handles unexpected server process exit
    */
   async handleServerExit(code, signal) {
+    // Exit after stopMonitoring() is an intentional stop, not a crash
+    if (!this.isMonitoring) return;
+
     // ✅ CORRECTION: ASCII message to avoid encoding issues
     await this.logManager?.error('Server terminated unexpectedly', {
       code,
@@ -285,6 +401,7 @@ class ServerMonitor extends EventEmitter {
   getPerformanceMetrics() {
     return {
       ...this.performanceMetrics,
+      pid: this.serverProcess?.pid || null,
       isHealthy: this.retryCount === 0,
       lastHealthCheck: this.lastHealthCheck,
       monitoringStarted: this.startTime,
@@ -304,7 +421,18 @@ class ServerMonitor extends EventEmitter {
       metrics: this.getPerformanceMetrics(),
       healthCheckInterval: this.healthCheckInterval,
       retryCount: this.retryCount,
-      maxRetries: this.maxRetries
+      maxRetries: this.maxRetries,
+      probe: {
+        method: this.probe.method,
+        path: this.probe.path,
+        expectedStatus: this.probe.expectedStatus
+      },
+      lastProbeResult: this.lastProbeResult,
+      memory: {
+        rss: this.performanceMetrics.memoryUsage,
+        maxRss: this.memoryLimits.maxRss,
+        exceededSince: this.memoryExceededSince
+      }
     };
   }
 
@@ -316,12 +444,13 @@ class ServerMonitor extends EventEmitter {
     if (interval > 60000) interval = 60000; // Maximum 1 minute
 
     this.healthCheckInterval = interval;
+    this.defaultHealthCheckInterval = interval;
 
     if (this.isMonitoring) {
       // Restart with new interval
       this.stopMonitoring();
       setTimeout(() => {
-        this.startMonitoring(this.serverProcess, this.serverPort, this.serverHostname);
+        this.startMonitoring(this.serverProcess, this.serverPort, this.serverHostname, null, this.memoryDefinition);
       }, 100);
     }
 
@@ -337,6 +466,10 @@ class ServerMonitor extends EventEmitter {
       responseTime: 0,
       memoryUsage: 0,
       cpuUsage: 0,
+      threads: null,
+      openFiles: null,
+      processCount: 0,
+      sampledAt: null,
       requestCount: 0,
       errorCount: 0
     };
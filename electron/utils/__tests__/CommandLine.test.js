@@ -0,0 +1,58 @@
+const CommandLine = require('../CommandLine');
+
+describe('CommandLine.parse', () => {
+  test('returns defaults without arguments', () => {
+    expect(CommandLine.parse([])).toEqual({
+      action: null, profile: null, open: false, hidden: false, headless: false, port: null, lan: null, unknown: []
+    });
+  });
+
+  test('parses actions and switches', () => {
+    expect(CommandLine.parse(['--start', '--open', '--hidden', '--headless', '--lan'])).toMatchObject({
+      action: 'start', open: true, hidden: true, headless: true, lan: true
+    });
+    expect(CommandLine.parse(['--restart', '--no-lan'])).toMatchObject({ action: 'restart', lan: false });
+  });
+
+  test('reads values given inline or as the next argument', () => {
+    expect(CommandLine.parse(['--profile=web', '--port', '8081'])).toMatchObject({ profile: 'web', port: 8081 });
+    expect(CommandLine.parse(['--profile', 'My App', '--port=9000'])).toMatchObject({ profile: 'My App', port: 9000 });
+  });
+
+  test('keeps "=" inside inline values', () => {
+    expect(CommandLine.parse(['--profile=a=b']).profile).toBe('a=b');
+  });
+
+  test('collects unknown arguments (e.g. Chromium switches)', () => {
+    expect(CommandLine.parse(['--enable-logging', 'file.txt', '--stop']).unknown).toEqual(['--enable-logging', 'file.txt']);
+  });
+
+  test.each([
+    [['--profile'], /--profile requires/],
+    [['--profile', '--start'], /--profile requires/],
+    [['--port'], /--port requires/],
+    [['--port=abc'], /Invalid port "abc"/],
+    [['--port', '80'], /Invalid port "80"/],
+    [['--port', '70000'], /Invalid port "70000"/],
+    [['--port=8080.5'], /Invalid port/]
+  ])('rejects %j', (args, message) => {
+    expect(() => CommandLine.parse(args)).toThrow(message);
+  });
+});
+
+describe('CommandLine helpers', () => {
+  test('strips the executable and, in development, the app path', () => {
+    expect(CommandLine.userArgs(['electron', '.', '--start'], true)).toEqual(['--start']);
+    expect(CommandLine.userArgs(['OxichStudio', '--start'], false)).toEqual(['--start']);
+  });
+
+  test('tells whether options ask for anything', () => {
+    expect(CommandLine.hasCommand(CommandLine.parse(['--hidden']))).toBe(false);
+    expect(CommandLine.hasCommand(CommandLine.parse(['--no-lan']))).toBe(true);
+  });
+
+  test('maps options to profile overrides', () => {
+    expect(CommandLine.getOverrides(CommandLine.parse(['--port=8081', '--no-lan']))).toEqual({ port: 8081, enableLan: false });
+    expect(CommandLine.getOverrides(CommandLine.parse(['--start']))).toEqual({});
+  });
+});
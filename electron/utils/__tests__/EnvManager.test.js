@@ -0,0 +1,42 @@
+const EnvManager = require('../EnvManager');
+
+describe('EnvManager.parseEnvFile', () => {
+  const envManager = new EnvManager(null);
+  const parse = (content) => envManager.parseEnvFile(content);
+
+  test('parses plain, exported and spaced assignments', () => {
+    expect(parse('A=1\nexport B=two\n  C = three  \n')).toEqual({ A: '1', B: 'two', C: 'three' });
+  });
+
+  test('skips comments, blank and malformed lines', () => {
+    expect(parse('# comment\n\nnot a variable\n1BAD=x\nOK=yes\n')).toEqual({ OK: 'yes' });
+  });
+
+  test('strips inline comments from unquoted values only', () => {
+    expect(parse('A=value # note\nB="value # kept"\nC=a#b\n')).toEqual({ A: 'value', B: 'value # kept', C: 'a#b' });
+  });
+
+  test('handles CRLF line endings', () => {
+    expect(parse('A=1\r\nB="x"\r\n')).toEqual({ A: '1', B: 'x' });
+  });
+
+  test('expands escapes in double quotes only', () => {
+    expect(parse('A="line\\nnext\\t\\"q\\""\nB=\'raw\\n\'\n')).toEqual({ A: 'line\nnext\t"q"', B: 'raw\\n' });
+  });
+
+  test('reads quoted values spanning several lines', () => {
+    expect(parse('KEY="-----BEGIN-----\nabc\n-----END-----"\nNEXT=1\n')).toEqual({
+      KEY: '-----BEGIN-----\nabc\n-----END-----',
+      NEXT: '1'
+    });
+  });
+
+  test('keeps only the first line of an unterminated quote and parses the following lines', () => {
+    expect(parse('A="x\nB=2\nC=3\n')).toEqual({ A: 'x', B: '2', C: '3' });
+  });
+
+  test('stops at the size cap when a multi-line value never closes', () => {
+    const filler = Array(2000).fill('y'.repeat(64)).join('\n');
+    expect(parse(`A="start\n${filler}\nB=after\n`)).toEqual({ A: 'start', B: 'after' });
+  });
+});
@@ -0,0 +1,32 @@
+const HealthProbe = require('../HealthProbe');
+
+describe('HealthProbe.parseStatusRanges', () => {
+  test('parses single codes, ranges and lists', () => {
+    expect(HealthProbe.parseStatusRanges('200')).toEqual([[200, 200]]);
+    expect(HealthProbe.parseStatusRanges('200-399')).toEqual([[200, 399]]);
+    expect(HealthProbe.parseStatusRanges(' 200 - 299 , 404 ')).toEqual([[200, 299], [404, 404]]);
+  });
+
+  test('accepts a number', () => {
+    expect(HealthProbe.parseStatusRanges(204)).toEqual([[204, 204]]);
+  });
+
+  test.each(['', 'ok', '200-', '99', '600', '200-600', '399-200', '200,,404'])('rejects "%s"', (expression) => {
+    expect(() => HealthProbe.parseStatusRanges(expression)).toThrow(/Invalid expected status/);
+  });
+});
+
+describe('HealthProbe expected status', () => {
+  test('defaults to 200-499', () => {
+    const probe = new HealthProbe();
+    expect(probe.isExpectedStatus(200)).toBe(true);
+    expect(probe.isExpectedStatus(499)).toBe(true);
+    expect(probe.isExpectedStatus(500)).toBe(false);
+  });
+
+  test('checks every configured range', () => {
+    const probe = new HealthProbe({ expectedStatus: '200-299,404' });
+    expect(probe.isExpectedStatus(404)).toBe(true);
+    expect(probe.isExpectedStatus(301)).toBe(false);
+  });
+});
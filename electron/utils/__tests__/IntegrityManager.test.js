@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IntegrityManager = require('../IntegrityManager');
+
+describe('IntegrityManager.verify', () => {
+  let rootDir;
+
+  const write = (relativePath, content) => {
+    const filePath = path.join(rootDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const writeManifest = async () => {
+    const manifest = Buffer.from(JSON.stringify(await IntegrityManager.generate(rootDir)));
+    fs.writeFileSync(path.join(rootDir, IntegrityManager.MANIFEST_FILE), manifest);
+    return manifest;
+  };
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oxichstudio-integrity-'));
+    write('server.js', 'console.log("server");');
+    write('.next/BUILD_ID', 'build-1\n');
+    write('.next/static/chunk.js', 'chunk');
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('verifies an unchanged directory', async () => {
+    await writeManifest();
+    const report = await IntegrityManager.verify(rootDir);
+    expect(report).toMatchObject({ status: 'verified', verified: true, missing: [], modified: [], fileCount: 3, buildId: 'build-1', signature: 'not-checked' });
+  });
+
+  test('reports missing and modified files', async () => {
+    await writeManifest();
+    fs.rmSync(path.join(rootDir, '.next/static/chunk.js'));
+    write('server.js', 'tampered');
+
+    const report = await IntegrityManager.verify(rootDir);
+    expect(report).toMatchObject({ status: 'failed', verified: false, missing: ['.next/static/chunk.js'], modified: ['server.js'] });
+    expect(IntegrityManager.describe(report)).toBe('1 missing (.next/static/chunk.js); 1 modified (server.js).');
+  });
+
+  test('ignores files written at runtime', async () => {
+    await writeManifest();
+    write('.next/cache/images/a.webp', 'cache');
+    write('.next/server/app/page.html', 'regenerated');
+
+    expect((await IntegrityManager.verify(rootDir)).verified).toBe(true);
+  });
+
+  test('rejects manifest entries outside the directory', async () => {
+    const manifest = await IntegrityManager.generate(rootDir);
+    manifest.files['../outside.js'] = manifest.files['server.js'];
+    fs.writeFileSync(path.join(rootDir, IntegrityManager.MANIFEST_FILE), JSON.stringify(manifest));
+
+    const report = await IntegrityManager.verify(rootDir);
+    expect(report.verified).toBe(false);
+    expect(report.modified).toEqual(['../outside.js']);
+  });
+
+  test('fails on an invalid manifest', async () => {
+    fs.writeFileSync(path.join(rootDir, IntegrityManager.MANIFEST_FILE), '{ not json');
+    const report = await IntegrityManager.verify(rootDir);
+    expect(report).toMatchObject({ status: 'failed', verified: false });
+    expect(report.error).toMatch(/^Invalid integrity\.json/);
+  });
+
+  test('only requires a manifest when asked to', async () => {
+    expect(await IntegrityManager.verify(rootDir)).toMatchObject({ status: 'no-manifest', verified: true, error: null });
+    expect(await IntegrityManager.verify(rootDir, { requireManifest: true })).toMatchObject({
+      status: 'no-manifest', verified: false, error: 'integrity.json not found'
+    });
+  });
+
+  describe('with a public key', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    test('accepts a valid signature', async () => {
+      const manifest = await writeManifest();
+      fs.writeFileSync(path.join(rootDir, IntegrityManager.SIGNATURE_FILE), IntegrityManager.sign(manifest, privatePem));
+
+      expect(await IntegrityManager.verify(rootDir, { publicKey: publicPem })).toMatchObject({ verified: true, signature: 'valid' });
+    });
+
+    test('fails without a signature', async () => {
+      await writeManifest();
+      expect(await IntegrityManager.verify(rootDir, { publicKey: publicPem })).toMatchObject({ verified: false, signature: 'missing' });
+    });
+
+    test('fails when the manifest changed after signing', async () => {
+      const manifest = await writeManifest();
+      fs.writeFileSync(path.join(rootDir, IntegrityManager.SIGNATURE_FILE), IntegrityManager.sign(manifest, privatePem));
+      write('server.js', 'tampered');
+      await writeManifest();
+
+      expect(await IntegrityManager.verify(rootDir, { publicKey: publicPem })).toMatchObject({ verified: false, signature: 'invalid', modified: [] });
+    });
+
+    test('requires a manifest', async () => {
+      expect(await IntegrityManager.verify(rootDir, { publicKey: publicPem })).toMatchObject({ status: 'no-manifest', verified: false });
+    });
+  });
+});
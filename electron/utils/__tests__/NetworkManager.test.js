@@ -0,0 +1,68 @@
+const NetworkManager = require('../NetworkManager');
+
+describe('NetworkManager.classifyIP', () => {
+  const networkManager = new NetworkManager();
+
+  test.each([
+    ['127.0.0.1', 'loopback'],
+    ['127.5.6.7', 'loopback'],
+    ['0.0.0.0', 'unspecified'],
+    ['10.1.2.3', 'private'],
+    ['172.16.0.1', 'private'],
+    ['172.32.0.1', 'global'],
+    ['192.168.1.10', 'private'],
+    ['169.254.3.4', 'link-local'],
+    ['8.8.8.8', 'global'],
+    ['::1', 'loopback'],
+    ['0:0:0:0:0:0:0:1', 'loopback'],
+    ['::', 'unspecified'],
+    ['fe80::1', 'link-local'],
+    ['fe80::1%eth0', 'link-local'],
+    ['fd12:3456::1', 'unique-local'],
+    ['2001:db8::1', 'global']
+  ])('classifies %s as %s', (address, scope) => {
+    expect(networkManager.classifyIP(address)).toBe(scope);
+  });
+
+  test.each([
+    ['::ffff:127.0.0.1', 'loopback'],
+    ['::ffff:7f00:1', 'loopback'],
+    ['::FFFF:192.168.1.10', 'private'],
+    ['0:0:0:0:0:ffff:c0a8:10a', 'private'],
+    ['::ffff:0.0.0.0', 'unspecified'],
+    ['::ffff:8.8.8.8', 'global']
+  ])('classifies the IPv4-mapped %s by its IPv4 address', (address, scope) => {
+    expect(networkManager.classifyIP(address)).toBe(scope);
+  });
+
+  test('only treats addresses of one interface as specific', () => {
+    expect(networkManager.isSpecificAddress('192.168.1.10')).toBe(true);
+    expect(networkManager.isSpecificAddress('fe80::1%eth0')).toBe(true);
+    expect(networkManager.isSpecificAddress('0.0.0.0')).toBe(false);
+    expect(networkManager.isSpecificAddress('::')).toBe(false);
+    expect(networkManager.isSpecificAddress('::ffff:7f00:1')).toBe(false);
+    expect(networkManager.isSpecificAddress('localhost')).toBe(false);
+  });
+});
+
+describe('NetworkManager.formatHost', () => {
+  const networkManager = new NetworkManager();
+
+  test('keeps IPv4 addresses and host names', () => {
+    expect(networkManager.formatHost('192.168.1.10')).toBe('192.168.1.10');
+    expect(networkManager.formatHost('localhost')).toBe('localhost');
+  });
+
+  test('brackets IPv6 addresses', () => {
+    expect(networkManager.formatHost('::1')).toBe('[::1]');
+    expect(networkManager.formatHost('2001:db8::1')).toBe('[2001:db8::1]');
+  });
+
+  test('escapes the zone id of link-local addresses', () => {
+    expect(networkManager.formatHost('fe80::1%eth0')).toBe('[fe80::1%25eth0]');
+  });
+
+  test('builds URLs with the formatted host', () => {
+    expect(networkManager.formatUrl('fe80::1%eth0', 8080)).toBe('http://[fe80::1%25eth0]:8080');
+  });
+});
@@ -0,0 +1,121 @@
+const ScheduleManager = require('../ScheduleManager');
+
+describe('ScheduleManager.parseCron', () => {
+  test('expands wildcards, lists, ranges and steps', () => {
+    const fields = ScheduleManager.parseCron('*/15 8-18/2 1,15 * 1-5');
+    expect([...fields.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...fields.hours]).toEqual([8, 10, 12, 14, 16, 18]);
+    expect([...fields.days]).toEqual([1, 15]);
+    expect(fields.months.size).toBe(12);
+    expect([...fields.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(fields.anyDay).toBe(false);
+    expect(fields.anyWeekday).toBe(false);
+  });
+
+  test('treats weekday 7 as Sunday', () => {
+    expect([...ScheduleManager.parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+  });
+
+  test.each([
+    ['0 9 * *', /expected 5 fields/],
+    ['60 * * * *', /Invalid minute/],
+    ['0 24 * * *', /Invalid hour/],
+    ['0 0 0 * *', /Invalid day of month/],
+    ['0 0 * 13 *', /Invalid month/],
+    ['0 0 * * 8', /Invalid day of week/],
+    ['5-1 * * * *', /Invalid minute/],
+    ['*/0 * * * *', /Invalid minute/],
+    ['a * * * *', /Invalid minute/]
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => ScheduleManager.parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('ScheduleManager.nextOccurrence', () => {
+  const next = (expression, from) => ScheduleManager.nextOccurrence(ScheduleManager.parseCron(expression), from);
+
+  test('finds the next matching minute strictly after the start', () => {
+    expect(next('30 9 * * *', new Date(2026, 0, 5, 9, 30, 15))).toEqual(new Date(2026, 0, 6, 9, 30));
+    expect(next('30 9 * * *', new Date(2026, 0, 5, 9, 29, 59))).toEqual(new Date(2026, 0, 5, 9, 30));
+  });
+
+  test('rolls over hours, days, months and years', () => {
+    expect(next('0 * * * *', new Date(2026, 0, 5, 23, 10))).toEqual(new Date(2026, 0, 6, 0, 0));
+    expect(next('0 0 1 * *', new Date(2026, 0, 31, 12, 0))).toEqual(new Date(2026, 1, 1, 0, 0));
+    expect(next('0 0 1 1 *', new Date(2026, 5, 1))).toEqual(new Date(2027, 0, 1, 0, 0));
+  });
+
+  test('matches weekdays (5 January 2026 is a Monday)', () => {
+    expect(next('0 8 * * 1-5', new Date(2026, 0, 9, 9, 0))).toEqual(new Date(2026, 0, 12, 8, 0));
+  });
+
+  test('matches either restricted day field like standard cron', () => {
+    // The 15th or any Sunday, whichever comes first
+    expect(next('0 0 15 * 0', new Date(2026, 0, 5))).toEqual(new Date(2026, 0, 11, 0, 0));
+    expect(next('0 0 15 * 0', new Date(2026, 0, 12))).toEqual(new Date(2026, 0, 15, 0, 0));
+  });
+
+  test('returns null for dates that never exist', () => {
+    expect(next('0 0 31 2 *', new Date(2026, 0, 1))).toBeNull();
+  });
+});
+
+describe('ScheduleManager rules due at the same time', () => {
+  let scheduleManager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2026, 0, 5, 7, 59, 30));
+    scheduleManager = new ScheduleManager(null);
+  });
+
+  afterEach(() => {
+    scheduleManager.stopAll();
+    jest.useRealTimers();
+  });
+
+  const load = (rules) => scheduleManager.update({ id: 'web', schedule: { enabled: true, rules } });
+
+  test('fires every rule due at the next time', () => {
+    const actions = [];
+    scheduleManager.on('action', ({ action }) => actions.push(action));
+    load([
+      { action: 'stop', cron: '0 8 * * *' },
+      { action: 'start', cron: '0 8 * * *' },
+      { action: 'start', cron: '0 12 * * *' }
+    ]);
+
+    expect(scheduleManager.getNext('web')).toMatchObject({ action: 'stop', at: new Date(2026, 0, 5, 8, 0).getTime() });
+    jest.advanceTimersByTime(30 * 1000);
+    expect(actions).toEqual(['stop', 'start']);
+  });
+
+  test('a skip only cancels its own action', () => {
+    const events = [];
+    scheduleManager.on('action', ({ action }) => events.push(`action:${action}`));
+    scheduleManager.on('skipped', ({ action }) => events.push(`skipped:${action}`));
+    load([
+      { action: 'stop', cron: '0 8 * * *' },
+      { action: 'start', cron: '0 8 * * *' }
+    ]);
+
+    scheduleManager.skipNext('web');
+    jest.advanceTimersByTime(30 * 1000);
+    expect(events).toEqual(['skipped:stop', 'action:start']);
+  });
+
+  test('re-arms for the following occurrence', () => {
+    const actions = [];
+    scheduleManager.on('action', ({ at }) => actions.push(at));
+    load([{ action: 'start', cron: '0 8 * * *' }]);
+
+    jest.advanceTimersByTime(30 * 1000 + 1000);
+    expect(scheduleManager.getNext('web')).toMatchObject({ at: new Date(2026, 0, 6, 8, 0).getTime() });
+
+    // Removing the profile also cancels the pending re-arm
+    jest.setSystemTime(new Date(2026, 0, 6, 7, 59, 59));
+    scheduleManager.remove('web');
+    jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+    expect(actions).toHaveLength(1);
+  });
+});
@@ -18,6 +18,15 @@ const eslintConfig = [
       "react-hooks/exhaustive-deps": "warn",
     },
   },
+  {
+    // The Electron main process, its CLI and the build scripts are CommonJS
+    files: ["electron/**/*.js", "scripts/**/*.js"],
+    rules: {
+      "@typescript-eslint/no-require-imports": "off",
+      // Unused catch bindings, callback arguments and omitted rest siblings are the existing style there
+      "@typescript-eslint/no-unused-vars": ["warn", { caughtErrors: "none", args: "none", ignoreRestSiblings: true }],
+    },
+  },
 ];
 
 export default eslintConfig;
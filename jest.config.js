@@ -0,0 +1,7 @@
+/** @type {import('jest').Config} */
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/electron'],
+  testMatch: ['**/__tests__/**/*.test.js'],
+  clearMocks: true
+};
@@ -0,0 +1,65 @@
+// Writes the SHA-256 integrity manifest of the standalone build (checked by OxichStudio before start)
+const fs = require('fs');
+const path = require('path');
+const IntegrityManager = require('../electron/utils/IntegrityManager');
+
+const USAGE = `Usage: node scripts/generate-manifest.js [directory] [--sign <private-key.pem>]
+
+  directory     Standalone build (default: .next/standalone)
+  --sign        Also write ${IntegrityManager.SIGNATURE_FILE}, signed with this Ed25519 or RSA key`;
+
+// === ARGUMENTS ===
+function parseArgs(argv) {
+  const options = { directory: '.next/standalone', keyPath: process.env.OXICHSTUDIO_SIGNING_KEY || null };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--sign') {
+      options.keyPath = argv[++index];
+      if (!options.keyPath) {
+        throw new Error('--sign requires a key file');
+      }
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.directory = arg;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const directory = path.resolve(options.directory);
+  if (!fs.existsSync(path.join(directory, 'server.js'))) {
+    throw new Error(`No standalone build in ${directory} (server.js not found) - run "next build" first`);
+  }
+
+  const startedAt = Date.now();
+  const manifest = await IntegrityManager.generate(directory);
+  const data = JSON.stringify(manifest, null, 2);
+  fs.writeFileSync(path.join(directory, IntegrityManager.MANIFEST_FILE), data, 'utf8');
+  console.log(`🛡️ ${IntegrityManager.MANIFEST_FILE}: ${Object.keys(manifest.files).length} files hashed in ${Date.now() - startedAt}ms`);
+
+  const signaturePath = path.join(directory, IntegrityManager.SIGNATURE_FILE);
+  if (options.keyPath) {
+    const signature = IntegrityManager.sign(Buffer.from(data, 'utf8'), fs.readFileSync(options.keyPath, 'utf8'));
+    fs.writeFileSync(signaturePath, `${signature}\n`, 'utf8');
+    console.log(`🔏 ${IntegrityManager.SIGNATURE_FILE} written`);
+  } else if (fs.existsSync(signaturePath)) {
+    // A signature of the previous manifest would no longer match
+    fs.unlinkSync(signaturePath);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});